@@ -0,0 +1,109 @@
+// Decision making for bot players. Pure functions over the engine state: the socket handler
+// asks for an action and sends it through the same pipeline as a human player's.
+
+const { rules, deck } = require('../engine');
+const { HAND_RANKS } = require('../utils/handEvaluator');
+
+// How each personality plays. Strengths are indexes into HAND_RANKS (0 = high card).
+const PERSONALITIES = {
+  // Sees early, folds anything below a pair and only pushes strong hands
+  tight: {
+    seeChance: 90,
+    maxBlindRounds: 1,
+    foldBelow: 1,
+    raiseFrom: 3,
+    showFrom: 2,
+    acceptSideShowFrom: 2,
+    bluffChance: 2
+  },
+  // Plays most hands to the end and raises on a pair
+  loose: {
+    seeChance: 50,
+    maxBlindRounds: 3,
+    foldBelow: 0,
+    raiseFrom: 1,
+    showFrom: 1,
+    acceptSideShowFrom: 1,
+    bluffChance: 10
+  },
+  // Stays blind for long and raises whatever it holds
+  bluffer: {
+    seeChance: 25,
+    maxBlindRounds: 5,
+    foldBelow: 0,
+    raiseFrom: 1,
+    showFrom: 3,
+    acceptSideShowFrom: 3,
+    bluffChance: 35
+  }
+};
+
+const PERSONALITY_NAMES = Object.keys(PERSONALITIES);
+
+// Strength of a seen hand on a 0-5 scale, flipped at lowball tables
+const getStrength = (state, player) => {
+  const index = HAND_RANKS.indexOf(player.handRank);
+  return rules.isLowball(state) ? HAND_RANKS.length - 1 - index : index;
+};
+
+const chance = (rng, percent) => rng(100) < percent;
+
+// Smallest legal raise, or null when the stake is already at the maximum
+const minRaise = (state, player) => rules.getBetLimits(state, player).minRaise;
+
+// Choose the bot's next action on its turn. Seeing cards does not use the turn, so a bot
+// that decides to see will be asked again afterwards.
+const chooseAction = (state, botId, personalityName, rng = deck.defaultRng) => {
+  const personality = PERSONALITIES[personalityName] || PERSONALITIES.tight;
+  const player = state.players.find(p => p.id === botId);
+  const inHand = rules.getPlayersInHand(state);
+  const bluffing = chance(rng, personality.bluffChance);
+
+  if (player.isBlind) {
+    if (state.round > personality.maxBlindRounds || chance(rng, personality.seeChance)) {
+      return { type: 'see' };
+    }
+
+    const amount = minRaise(state, player);
+    if (bluffing && amount) {
+      return { type: 'raise', amount };
+    }
+    return { type: 'blind' };
+  }
+
+  const strength = getStrength(state, player);
+
+  if (strength < personality.foldBelow && !bluffing) {
+    return { type: 'fold' };
+  }
+
+  if (inHand.length === 2 && strength >= personality.showFrom && state.round > 1) {
+    return { type: 'show' };
+  }
+
+  const amount = minRaise(state, player);
+  if (amount && (strength >= personality.raiseFrom || bluffing)) {
+    return { type: 'raise', amount };
+  }
+
+  if (inHand.length >= 3 && strength >= personality.showFrom && chance(rng, 20)) {
+    return { type: 'side_show' };
+  }
+
+  return { type: 'call' };
+};
+
+// Answer a side show request aimed at the bot
+const respondToSideShow = (state, botId, personalityName) => {
+  const personality = PERSONALITIES[personalityName] || PERSONALITIES.tight;
+  const player = state.players.find(p => p.id === botId);
+
+  return { type: 'side_show_response', accept: getStrength(state, player) >= personality.acceptSideShowFrom };
+};
+
+module.exports = {
+  PERSONALITIES,
+  PERSONALITY_NAMES,
+  chooseAction,
+  respondToSideShow
+};
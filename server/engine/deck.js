@@ -0,0 +1,58 @@
+// Deck handling for the engine. The random source is injected so deals can be seeded:
+// an rng is a function that takes max and returns a uniform integer in [0, max).
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+// Default random source when no seeded one is supplied
+const defaultRng = (max) => Math.floor(Math.random() * max);
+
+// Standard deck in a fixed order, so a shuffle can be replayed from its random source alone
+const createDeck = () => {
+  const deck = [];
+  SUITS.forEach(suit => {
+    RANKS.forEach(rank => {
+      deck.push({ suit, rank });
+    });
+  });
+  return deck;
+};
+
+// Fisher-Yates shuffle driven by the given random source
+const shuffle = (deck, rng = defaultRng) => {
+  const shuffled = [...deck];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = rng(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+// Deal three cards to each player from the top of the deck, then the joker if the variant uses one
+const dealHands = (deck, playerCount, drawJoker = false) => {
+  const remaining = [...deck];
+  const hands = [];
+
+  for (let p = 0; p < playerCount; p++) {
+    const cards = [];
+    for (let i = 0; i < 3; i++) {
+      cards.push(remaining.pop());
+    }
+    hands.push(cards);
+  }
+
+  const jokerCard = drawJoker ? remaining.pop() : null;
+
+  return { hands, jokerCard, remaining };
+};
+
+module.exports = {
+  SUITS,
+  RANKS,
+  defaultRng,
+  createDeck,
+  shuffle,
+  dealHands
+};
@@ -0,0 +1,776 @@
+// Teen Patti as a pure state machine. startHand(state) and applyAction(state, action) return
+// { state, events } and never modify their input. There is no database, socket or clock in
+// here: the Game model and the socket handler adapt the engine to Mongo, the ledger and timers.
+//
+// A player in the state is { id, username, chips, position, cards, isPlaying, isFolded, ... }
+// where chips is what the player can still bet and position is a seat number that never
+// changes while the player is at the table. Events describe what happened, in order.
+
+const rules = require('./rules');
+const deck = require('./deck');
+
+const DEFAULT_COMMISSION_RATE = 0.03;
+
+// Hands the commission is waived on ("no flop, no drop"): no_bet when nobody put in more
+// than the boot, no_showdown when everyone else folded
+const COMMISSION_EXEMPTIONS = ['no_bet', 'no_showdown'];
+
+// Commission defaults: the platform rate, no cap per hand and no exemptions
+const COMMISSION_DEFAULTS = {
+  commissionRate: DEFAULT_COMMISSION_RATE,
+  commissionCap: null,
+  commissionExemptions: []
+};
+
+// Thrown for actions the rules do not allow; the message is meant for the player
+class RuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleError';
+  }
+}
+
+// Wording for "Insufficient chips to ..." by betting action
+const BET_VERBS = {
+  call: 'call',
+  raise: 'raise',
+  show: 'show',
+  blind: 'play blind',
+  side_show: 'ask for a side show'
+};
+
+const createStep = (state, options = {}) => ({
+  state: structuredClone(state),
+  events: [],
+  options
+});
+
+const toResult = (step) => ({ state: step.state, events: step.events });
+
+const emit = (step, type, payload = {}) => {
+  step.events.push({ type, ...payload });
+};
+
+// History entries carry no timestamp; the adapter stamps them when it stores them. Each
+// entry notes the pot and the stack of everyone dealt in after the step, so that a hand
+// can be replayed from its history alone.
+const record = (step, action, playerId, amount = 0, details = '', targetId = null) => {
+  const { state } = step;
+
+  state.history.push({
+    action,
+    playerId,
+    targetId,
+    amount,
+    details,
+    pot: state.pot,
+    currentBet: state.currentBet,
+    round: state.round,
+    stacks: state.players
+      .filter(p => p.isPlaying || p.isFolded)
+      .map(p => ({ playerId: p.id, stack: p.chips, totalBet: p.totalBet }))
+  });
+};
+
+const findPlayer = (state, playerId) => state.players.find(p => p.id === playerId);
+
+// Take players off the table, keeping the dealer button on the same player
+const removePlayers = (state, removed) => {
+  if (removed.length === 0) {
+    return;
+  }
+
+  // If the dealer goes, the button passes to the nearest player before them so that it
+  // moves on to the dealer's left as usual
+  const stayingBefore = state.players.slice(0, state.dealerIndex + 1).filter(p => !removed.includes(p));
+  state.players = state.players.filter(p => !removed.includes(p));
+
+  state.dealerIndex = stayingBefore.length > 0 ? stayingBefore.length - 1 : state.players.length - 1;
+  if (state.dealerIndex < 0) {
+    state.dealerIndex = 0;
+  }
+};
+
+// Clear the previous hand and deal in everyone who is not sitting out
+const resetHand = (state) => {
+  state.pot = 0;
+  state.round = 1;
+  state.currentBet = 0;
+  state.deck = [];
+  state.jokerCard = null;
+  state.sideShow = null;
+  state.winner = null;
+  state.winners = [];
+  state.winningHand = null;
+  state.history = [];
+
+  state.players.forEach(player => {
+    player.cards = [];
+    player.handRank = 'high-card';
+    player.handValue = 0;
+    player.usedWild = false;
+    player.isPlaying = !player.isSittingOut;
+    player.isFolded = false;
+    player.isBlind = true;
+    player.currentBet = 0;
+    player.totalBet = 0;
+    player.isAllIn = false;
+    player.lastAction = null;
+  });
+};
+
+// Players who cannot cover the boot sit out at a persistent table, or leave a single-hand game.
+// In a tournament only an empty stack is left out; a short one posts what it has.
+const excludePlayersWithoutBoot = (step) => {
+  const { state } = step;
+  const bootAmount = rules.getBootAmount(state);
+  const shortPlayers = state.players.filter(p =>
+    !p.isSittingOut && (state.isTournament ? p.chips === 0 : p.chips < bootAmount)
+  );
+
+  shortPlayers.forEach(player => {
+    if (state.isPersistent) {
+      player.isSittingOut = true;
+      emit(step, 'player_sat_out', { playerId: player.id });
+    } else {
+      emit(step, 'player_removed', { playerId: player.id });
+    }
+  });
+
+  if (!state.isPersistent) {
+    removePlayers(state, shortPlayers);
+  }
+};
+
+// Count the hands each sitting-out player misses at a persistent table, and remove those
+// who reach the table's limit (maxMissedHands; null keeps them seated)
+const removeAbsentPlayers = (step) => {
+  const { state } = step;
+  if (!state.isPersistent) {
+    return;
+  }
+
+  const absentPlayers = [];
+  state.players.forEach(player => {
+    if (!player.isSittingOut) {
+      player.missedHands = 0;
+      return;
+    }
+
+    player.missedHands = (player.missedHands || 0) + 1;
+    if (state.maxMissedHands && player.missedHands >= state.maxMissedHands) {
+      absentPlayers.push(player);
+      emit(step, 'player_removed', { playerId: player.id, reason: 'sat_out' });
+    }
+  });
+
+  removePlayers(state, absentPlayers);
+};
+
+// Take the boot from everyone dealt in; it opens the pot and sets the first stake.
+// A player whose whole stack goes in the boot is all-in from the start.
+const collectBoot = (step) => {
+  const { state } = step;
+  const bootAmount = rules.getBootAmount(state);
+
+  state.players.filter(p => p.isPlaying).forEach(player => {
+    const amount = Math.min(bootAmount, player.chips);
+    player.chips -= amount;
+    player.currentBet = amount;
+    player.totalBet += amount;
+    player.isAllIn = player.chips === 0;
+    state.pot += amount;
+
+    record(step, 'boot', player.id, amount, `Boot of ${amount} collected`);
+    emit(step, 'boot', { playerId: player.id, amount });
+  });
+
+  state.currentBet = bootAmount;
+};
+
+// Shuffle with the injected random source and deal everyone in the hand
+const dealCards = (step, rng) => {
+  const { state } = step;
+  const dealtPlayers = state.players.filter(p => p.isPlaying);
+  const { hands, jokerCard, remaining } = deck.dealHands(
+    deck.shuffle(deck.createDeck(), rng),
+    dealtPlayers.length,
+    state.gameType === 'joker'
+  );
+  state.deck = remaining;
+
+  dealtPlayers.forEach((player, index) => {
+    player.cards = hands[index];
+  });
+
+  // Joker variant: the joker is drawn after the deal, every card of its rank is wild
+  state.jokerCard = jokerCard;
+  if (jokerCard) {
+    record(step, 'joker', null, 0, `Joker drawn: ${jokerCard.rank} of ${jokerCard.suit}`);
+  }
+
+  dealtPlayers.forEach(player => {
+    const bestHand = rules.getBestHand(state, player.cards);
+    player.handRank = bestHand.handRank;
+    player.handValue = bestHand.handValue;
+    player.usedWild = bestHand.usedWild;
+  });
+};
+
+// Start a hand (at a persistent table, the next hand with the dealer moved on).
+// rng(max) returns an integer in [0, max) and decides the shuffle. Options: { rng, commissionRate,
+// commissionCap, commissionExemptions }, the commission ones being needed when the boots leave
+// nobody able to bet and the hand ends at once.
+const startHand = (input, options = {}) => {
+  const { rng = deck.defaultRng } = options;
+  const step = createStep(input, { ...COMMISSION_DEFAULTS, ...options });
+  const { state } = step;
+
+  excludePlayersWithoutBoot(step);
+
+  if (state.players.filter(p => !p.isSittingOut).length < 2) {
+    throw new RuleError('Need at least 2 players to start');
+  }
+
+  removeAbsentPlayers(step);
+
+  const isFirstHand = state.handNumber === 0;
+  resetHand(state);
+  if (!isFirstHand) {
+    state.dealerIndex = rules.getNextPlayingIndex(state, state.dealerIndex);
+  }
+
+  state.status = 'active';
+  state.handNumber += 1;
+
+  collectBoot(step);
+  dealCards(step, rng);
+
+  emit(step, 'hand_started', { handNumber: state.handNumber, dealerIndex: state.dealerIndex });
+
+  if (rules.getActingPlayers(state).length <= 1) {
+    forceShowdown(step, 'No players left to bet');
+    return toResult(step);
+  }
+
+  // The player to the dealer's left acts first, passing over anyone all-in from the boot
+  let firstIndex = rules.getNextPlayingIndex(state, state.dealerIndex);
+  while (state.players[firstIndex].isAllIn) {
+    firstIndex = rules.getNextPlayingIndex(state, firstIndex);
+  }
+  state.currentPlayerIndex = firstIndex;
+
+  emit(step, 'turn_started', { playerId: state.players[state.currentPlayerIndex].id });
+
+  return toResult(step);
+};
+
+// Take a bet from the player's chips and add it to the pot. When allowAllIn is set, a short
+// player commits everything they have instead. A bet of the player's last chips puts them
+// all-in either way. Returns the chips committed.
+const placeBet = (step, player, amount, action, allowAllIn = false) => {
+  if (player.chips < amount) {
+    if (!allowAllIn || player.chips === 0) {
+      throw new RuleError(`Insufficient chips to ${BET_VERBS[action]}`);
+    }
+
+    amount = player.chips;
+  }
+
+  player.chips -= amount;
+  player.currentBet = amount;
+  player.totalBet += amount;
+  player.isAllIn = player.chips === 0;
+  step.state.pot += amount;
+
+  emit(step, 'bet', { playerId: player.id, action, amount });
+
+  return amount;
+};
+
+// Record a betting action, noting when the player went all-in
+const recordBet = (step, player, action, amount, details) => {
+  if (player.isAllIn) {
+    player.lastAction = 'all-in';
+    record(step, 'all-in', player.id, amount, `${player.username} went all-in for ${amount}`);
+    return;
+  }
+
+  player.lastAction = action;
+  record(step, action, player.id, amount, details);
+};
+
+// Make blind players see their cards once the blind round limit has passed
+const enforceBlindRoundLimit = (step) => {
+  const { state } = step;
+  if (!state.maxBlindRounds || state.round <= state.maxBlindRounds) {
+    return;
+  }
+
+  rules.getPlayersInHand(state).filter(p => p.isBlind).forEach(player => {
+    player.isBlind = false;
+    record(step, 'see', player.id, 0, `Blind round limit of ${state.maxBlindRounds} reached - cards seen`);
+    emit(step, 'cards_seen', { playerId: player.id, forced: true });
+  });
+};
+
+// Move to next active player (all-in players have nothing left to bet and are skipped)
+const moveToNextPlayer = (step) => {
+  const { state } = step;
+  const actingPlayers = rules.getActingPlayers(state);
+  if (actingPlayers.length <= 1) return;
+
+  let nextIndex = (state.currentPlayerIndex + 1) % state.players.length;
+  while (!actingPlayers.includes(state.players[nextIndex])) {
+    nextIndex = (nextIndex + 1) % state.players.length;
+  }
+
+  // Seats in the order they act, counting from the one to the dealer's left. A new betting
+  // round starts when the turn comes back round past that seat, not past seat index 0.
+  const playOrder = (index) => (index - state.dealerIndex - 1 + state.players.length) % state.players.length;
+  if (playOrder(nextIndex) <= playOrder(state.currentPlayerIndex)) {
+    state.round += 1;
+    enforceBlindRoundLimit(step);
+  }
+
+  state.currentPlayerIndex = nextIndex;
+  emit(step, 'turn_started', { playerId: state.players[nextIndex].id });
+};
+
+// The first of the table's exemptions that applies to the hand now ending, or null
+const getCommissionExemption = (state, exemptions) => {
+  const checks = {
+    no_bet: () => state.players.every(p => p.totalBet <= rules.getBootAmount(state)),
+    no_showdown: () => rules.getPlayersInHand(state).length === 1
+  };
+  return exemptions.find(exemption => checks[exemption] && checks[exemption]()) || null;
+};
+
+// Settle the main pot and any side pots, each to the best eligible hand (split evenly on ties).
+// Commission comes off each called pot, main pot first, until the hand's cap is reached.
+const endHand = (step) => {
+  const { state, options } = step;
+  const { commissionRate, commissionCap } = options;
+  const commissionExemption = getCommissionExemption(state, options.commissionExemptions);
+  const pots = rules.buildPots(state);
+  const payouts = new Map();
+  const potResults = [];
+  let commission = 0;
+
+  pots.forEach((pot, index) => {
+    const potWinners = rules.determineWinners(state, pot.eligible);
+
+    // Chips nobody else matched go straight back without commission
+    const isUncalled = pot.contributors.length === 1;
+    const capLeft = commissionCap ? commissionCap - commission : Infinity;
+    const potCommission = isUncalled || commissionExemption
+      ? 0
+      : Math.min(Math.floor(pot.amount * commissionRate), capLeft);
+    const potWinnings = pot.amount - potCommission;
+    commission += potCommission;
+
+    // Odd chips left over from a split go to the earliest winners
+    const share = Math.floor(potWinnings / potWinners.length);
+    const remainder = potWinnings - share * potWinners.length;
+    const winners = potWinners.map((winner, winnerIndex) => ({
+      playerId: winner.id,
+      amount: share + (winnerIndex < remainder ? 1 : 0)
+    }));
+
+    winners.filter(w => w.amount > 0).forEach(({ playerId, amount }) => {
+      const winner = findPlayer(state, playerId);
+      winner.chips += amount;
+      record(step, isUncalled ? 'refund' : 'win', playerId, amount, isUncalled
+        ? `${winner.username} took back an uncalled ${amount}`
+        : `${winner.username} won ${amount} from the ${index === 0 ? 'main' : `side ${index}`} pot`);
+
+      const existing = payouts.get(playerId) || { playerId, amount: 0, won: false };
+      existing.amount += amount;
+      existing.won = existing.won || !isUncalled;
+      payouts.set(playerId, existing);
+    });
+
+    potResults.push({
+      name: index === 0 ? 'main' : `side ${index}`,
+      amount: pot.amount,
+      commission: potCommission,
+      isUncalled,
+      winners
+    });
+  });
+
+  const mainWinners = rules.determineWinners(state, pots[0].eligible);
+
+  // Persistent tables stay open between hands
+  state.status = state.isPersistent ? 'waiting' : 'completed';
+  state.sideShow = null;
+  state.winner = mainWinners[0].id;
+  state.winners = [...payouts.values()].filter(p => p.won).map(p => p.playerId);
+  state.winningHand = rules.getHandLabel(state, mainWinners[0]);
+
+  emit(step, 'hand_ended', {
+    pots: potResults,
+    payouts: [...payouts.values()],
+    commission,
+    commissionRate,
+    commissionCap,
+    commissionExemption
+  });
+};
+
+// Compare every hand still in play and settle the pots
+const forceShowdown = (step, reason) => {
+  record(step, 'showdown', null, step.state.pot, `${reason} - showdown`);
+  endHand(step);
+};
+
+// Advance the turn after an action, or force a showdown once the pot limit is reached
+// or all-ins leave fewer than two players able to bet
+const finishTurn = (step) => {
+  const { state } = step;
+
+  if (rules.isPotLimitReached(state)) {
+    forceShowdown(step, `Pot limit of ${state.potLimit} reached`);
+    return;
+  }
+
+  if (rules.getActingPlayers(state).length <= 1) {
+    forceShowdown(step, 'No players left to bet');
+    return;
+  }
+
+  moveToNextPlayer(step);
+};
+
+// Fold a player and end the hand if only one is left
+const foldPlayer = (step, player, details, auto = false) => {
+  player.isFolded = true;
+  player.isPlaying = false;
+  player.lastAction = 'fold';
+
+  record(step, 'fold', player.id, 0, details);
+  emit(step, 'player_action', { playerId: player.id, action: 'fold', auto });
+
+  if (rules.getPlayersInHand(step.state).length === 1) {
+    endHand(step);
+  } else {
+    finishTurn(step);
+  }
+};
+
+const fold = (step, player) => {
+  foldPlayer(step, player, `${player.username} folded`);
+};
+
+// Chaal at the current stake: blind players pay the stake, seen players double
+const call = (step, player) => {
+  const amount = placeBet(step, player, rules.getBetLimits(step.state, player).call, 'call', true);
+
+  recordBet(step, player, 'call', amount, `${player.username} ${player.isBlind ? 'played blind' : 'called'} ${amount}`);
+  emit(step, 'player_action', { playerId: player.id, action: 'call', amount });
+
+  finishTurn(step);
+};
+
+// Amount is the chips put in; the stake becomes amount / multiplier
+const raise = (step, player, amount) => {
+  const { state } = step;
+  const limits = rules.getBetLimits(state, player);
+  const multiplier = rules.getStakeMultiplier(player);
+
+  if (!limits.maxRaise) {
+    throw new RuleError('Stake is already at the table maximum');
+  }
+
+  if (amount < limits.minRaise || amount > limits.maxRaise) {
+    throw new RuleError(`Raise amount must be between ${limits.minRaise} and ${limits.maxRaise}`);
+  }
+
+  if (amount % multiplier !== 0) {
+    throw new RuleError(`Seen players must raise in multiples of ${multiplier}`);
+  }
+
+  placeBet(step, player, amount, 'raise');
+
+  player.lastAction = 'raise';
+  state.currentBet = amount / multiplier;
+
+  record(step, 'raise', player.id, amount, `${player.username} raised to ${amount} (stake ${state.currentBet})`);
+  emit(step, 'player_action', { playerId: player.id, action: 'raise', amount });
+
+  finishTurn(step);
+};
+
+// Look at own cards; allowed at any time and does not use the turn
+const see = (step, player) => {
+  if (!player.isPlaying || player.isFolded) {
+    throw new RuleError('You are not in this hand');
+  }
+
+  if (!player.isBlind) {
+    throw new RuleError('You have already seen your cards');
+  }
+
+  player.isBlind = false;
+  record(step, 'see', player.id, 0, `${player.username} saw their cards`);
+  emit(step, 'cards_seen', { playerId: player.id, forced: false });
+  emit(step, 'player_action', { playerId: player.id, action: 'see' });
+};
+
+// Pay a chaal and go to showdown when two players remain
+const show = (step, player) => {
+  const { state } = step;
+  const inHand = rules.getPlayersInHand(state);
+
+  if (inHand.length !== 2) {
+    throw new RuleError('Show is only allowed when two players remain');
+  }
+
+  const amount = placeBet(step, player, rules.getBetLimits(state, player).call, 'show', true);
+
+  recordBet(step, player, 'show', amount, `${player.username} paid ${amount} for a show`);
+  emit(step, 'player_action', {
+    playerId: player.id,
+    action: 'show',
+    amount,
+    showdownIds: inHand.map(p => p.id)
+  });
+
+  endHand(step);
+};
+
+// A blind player's chaal at the current stake
+const blind = (step, player) => {
+  if (!player.isBlind) {
+    throw new RuleError('You have already seen your cards - call instead');
+  }
+
+  const amount = placeBet(step, player, rules.getBetLimits(step.state, player).call, 'blind', true);
+
+  recordBet(step, player, 'blind', amount, `${player.username} played blind for ${amount}`);
+  emit(step, 'player_action', { playerId: player.id, action: 'blind', amount });
+
+  finishTurn(step);
+};
+
+// Ask to compare cards privately with the previous seen player; costs a chaal
+const sideShow = (step, player, playerIndex) => {
+  const { state } = step;
+
+  if (player.isBlind) {
+    throw new RuleError('You must see your cards before asking for a side show');
+  }
+
+  if (rules.getPlayersInHand(state).length < 3) {
+    throw new RuleError('Side show needs at least 3 players - ask for a show instead');
+  }
+
+  const target = state.players[rules.getPreviousInHandIndex(state, playerIndex)];
+  if (target.isBlind) {
+    throw new RuleError('The previous player has not seen their cards');
+  }
+
+  // The side show costs a call; turn it down before any chips move if the player cannot
+  // cover it or it would take the pot to its limit, which ends the hand in a showdown
+  const { call } = rules.getBetLimits(state, player);
+  if (player.chips < call) {
+    throw new RuleError(`Insufficient chips to ${BET_VERBS.side_show}`);
+  }
+  if (state.potLimit && state.pot + call >= state.potLimit) {
+    throw new RuleError('A side show would reach the pot limit - call or ask for a show instead');
+  }
+
+  const amount = placeBet(step, player, call, 'side_show');
+
+  state.sideShow = { requester: player.id, target: target.id };
+  player.lastAction = 'side-show';
+
+  record(step, 'side_show_request', player.id, amount, `${player.username} asked ${target.username} for a side show`, target.id);
+  emit(step, 'side_show_requested', { requesterId: player.id, targetId: target.id });
+  emit(step, 'player_action', { playerId: player.id, action: 'side_show', amount, targetId: target.id });
+};
+
+// Settle a side show: on accept the weaker hand folds (the requester loses ties)
+const resolveSideShow = (step, accepted) => {
+  const { state } = step;
+  const requester = findPlayer(state, state.sideShow.requester);
+  const target = findPlayer(state, state.sideShow.target);
+
+  state.sideShow = null;
+
+  if (!accepted) {
+    record(step, 'side_show_declined', target.id, 0, `${target.username} declined the side show from ${requester.username}`, requester.id);
+    emit(step, 'side_show_resolved', { requesterId: requester.id, targetId: target.id, accepted: false });
+    moveToNextPlayer(step);
+    return;
+  }
+
+  const loser = rules.compareHandValues(state, requester.handValue, target.handValue) > 0 ? target : requester;
+  loser.isFolded = true;
+  loser.isPlaying = false;
+  loser.lastAction = 'fold';
+
+  record(step, 'side_show', requester.id, 0, `Side show between ${requester.username} and ${target.username}: ${loser.username} folded`, target.id);
+  emit(step, 'side_show_resolved', { requesterId: requester.id, targetId: target.id, accepted: true, loserId: loser.id });
+
+  if (rules.getPlayersInHand(state).length === 1) {
+    endHand(step);
+  } else {
+    finishTurn(step);
+  }
+};
+
+// The asked player's answer to a side show
+const respondToSideShow = (step, player, accepted) => {
+  const { sideShow: pending } = step.state;
+
+  if (!pending || pending.target !== player.id) {
+    throw new RuleError('No side show request pending for you');
+  }
+
+  resolveSideShow(step, accepted);
+};
+
+// The clock ran out: a pending side show is declined, otherwise the player to act folds.
+// There is no free check to fall back on, since the boot sets a stake from the start.
+const timeout = (step) => {
+  const { state } = step;
+
+  if (state.sideShow) {
+    resolveSideShow(step, false);
+    return;
+  }
+
+  const player = state.players[state.currentPlayerIndex];
+  foldPlayer(step, player, `${player.username} ran out of time and folded`, true);
+};
+
+// A player leaving mid-hand folds at once, whether or not it is their turn
+const leave = (step, player, playerIndex) => {
+  const { state } = step;
+  if (player.isFolded || !player.isPlaying) {
+    return;
+  }
+
+  const isTurn = state.currentPlayerIndex === playerIndex;
+  const inSideShow = Boolean(state.sideShow) &&
+    (state.sideShow.requester === player.id || state.sideShow.target === player.id);
+
+  player.isFolded = true;
+  player.isPlaying = false;
+  player.lastAction = 'fold';
+
+  record(step, 'fold', player.id, 0, `${player.username} left the game (folded)`);
+  emit(step, 'player_action', { playerId: player.id, action: 'fold', left: true });
+
+  if (rules.getPlayersInHand(state).length === 1) {
+    endHand(step);
+  } else if (isTurn || inSideShow) {
+    // A side show with a player who left is called off
+    state.sideShow = null;
+    finishTurn(step);
+  }
+};
+
+// Sitting out or back in at a persistent table takes effect from the next hand
+const sitOut = (step, player, sittingOut) => {
+  if (!step.state.isPersistent) {
+    throw new RuleError('Sitting out is only available at persistent tables');
+  }
+
+  if (step.state.isTournament) {
+    throw new RuleError('You cannot sit out of a tournament');
+  }
+
+  if (player.isSittingOut === sittingOut) {
+    throw new RuleError(sittingOut ? 'You are already sitting out' : 'You are already sitting in');
+  }
+
+  player.isSittingOut = sittingOut;
+  if (!sittingOut) {
+    player.missedHands = 0;
+  }
+  emit(step, 'player_action', { playerId: player.id, action: sittingOut ? 'sit_out' : 'sit_in' });
+};
+
+// Actions that need it to be the player's turn
+const TURN_ACTIONS = {
+  fold: (step, player) => fold(step, player),
+  call: (step, player) => call(step, player),
+  raise: (step, player, action) => raise(step, player, action.amount),
+  show: (step, player) => show(step, player),
+  blind: (step, player) => blind(step, player),
+  side_show: (step, player, action, playerIndex) => sideShow(step, player, playerIndex)
+};
+
+// Apply one action: { type, playerId, amount, accept }. A 'timeout' action comes from the
+// table clock and needs no player. Options: { commissionRate, commissionCap, commissionExemptions }.
+const applyAction = (input, action, options = {}) => {
+  const step = createStep(input, { ...COMMISSION_DEFAULTS, ...options });
+  const { state } = step;
+
+  if (action.type === 'timeout') {
+    if (state.status !== 'active') {
+      throw new RuleError('No hand in progress');
+    }
+    timeout(step);
+    return toResult(step);
+  }
+
+  const playerIndex = state.players.findIndex(p => p.id === action.playerId);
+  if (playerIndex === -1) {
+    throw new RuleError('You are not in this game');
+  }
+
+  const player = state.players[playerIndex];
+
+  if (action.type === 'sit_out' || action.type === 'sit_in') {
+    sitOut(step, player, action.type === 'sit_out');
+    return toResult(step);
+  }
+
+  if (state.status !== 'active') {
+    throw new RuleError('No hand in progress');
+  }
+
+  if (action.type === 'leave') {
+    leave(step, player, playerIndex);
+    return toResult(step);
+  }
+
+  // Side show answers come from the asked player, not the player whose turn it is
+  if (action.type === 'side_show_response') {
+    respondToSideShow(step, player, action.accept === true);
+    return toResult(step);
+  }
+
+  // Seeing cards is allowed at any time during the hand
+  if (action.type === 'see') {
+    see(step, player);
+    return toResult(step);
+  }
+
+  if (state.sideShow) {
+    throw new RuleError('Waiting for side show response');
+  }
+
+  if (state.currentPlayerIndex !== playerIndex) {
+    throw new RuleError('Not your turn');
+  }
+
+  const handler = TURN_ACTIONS[action.type];
+  if (!handler) {
+    throw new RuleError('Invalid action');
+  }
+
+  handler(step, player, action, playerIndex);
+  return toResult(step);
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  COMMISSION_EXEMPTIONS,
+  RuleError,
+  startHand,
+  applyAction
+};
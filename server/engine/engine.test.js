@@ -0,0 +1,553 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('.');
+
+const { rules } = engine;
+
+const SUITS = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+
+// 'Ah Kd 10c' -> three cards
+const hand = (text) => text.split(' ').map(card => ({
+  rank: card.slice(0, -1),
+  suit: SUITS[card.slice(-1)]
+}));
+
+// A persistent table that has not dealt yet, one player per stack (p0 is the dealer)
+const createTable = (stacks, settings = {}) => ({
+  gameType: 'classic',
+  status: 'waiting',
+  isPersistent: true,
+  isTournament: false,
+  minBet: 10,
+  maxBet: 1000,
+  bootAmount: 10,
+  potLimit: null,
+  maxBlindRounds: null,
+  maxMissedHands: 3,
+  handNumber: 0,
+  dealerIndex: 0,
+  currentPlayerIndex: 0,
+  currentBet: 0,
+  pot: 0,
+  round: 1,
+  deck: [],
+  jokerCard: null,
+  sideShow: null,
+  winner: null,
+  winners: [],
+  winningHand: null,
+  history: [],
+  players: stacks.map((chips, index) => ({
+    id: `p${index}`,
+    username: `p${index}`,
+    chips,
+    position: index,
+    cards: [],
+    isSittingOut: false,
+    missedHands: 0
+  })),
+  ...settings
+});
+
+// Deal a hand, then give the players dealt in the given cards in seat order
+const deal = (table, hands, options = {}) => {
+  const { state, events } = engine.startHand(table, { rng: () => 0, ...options });
+
+  state.players.filter(p => p.isPlaying).forEach((player, index) => {
+    const best = rules.getBestHand(state, hand(hands[index]));
+    player.cards = hand(hands[index]);
+    player.handRank = best.handRank;
+    player.handValue = best.handValue;
+    player.usedWild = best.usedWild;
+  });
+
+  return { state, events };
+};
+
+const act = (state, playerId, type, details = {}, options = {}) =>
+  engine.applyAction(state, { type, playerId, ...details }, options).state;
+
+const findEvent = (events, type) => events.find(e => e.type === type);
+
+const findPlayer = (state, playerId) => state.players.find(p => p.id === playerId);
+
+const sumChips = (state) => state.players.reduce((sum, p) => sum + p.chips, 0);
+
+describe('blind and seen stakes', () => {
+  it('charges a blind player the stake and a seen player twice it', () => {
+    let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(state, 'p1', 'blind');
+    state = act(act(state, 'p2', 'see'), 'p2', 'call');
+
+    assert.deepEqual(state.players.map(p => p.totalBet), [10, 20, 30]);
+    assert.equal(state.currentBet, 10);
+    assert.throws(() => act(act(state, 'p0', 'see'), 'p0', 'blind'), /already seen your cards - call instead/);
+  });
+
+  it('sets the stake from a raise, in the raiser\'s own terms', () => {
+    let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(state, 'p1', 'raise', { amount: 15 });
+    assert.equal(state.currentBet, 15);
+
+    state = act(state, 'p2', 'see');
+    assert.deepEqual(rules.getBetLimits(state, findPlayer(state, 'p2')), {
+      isBlind: false,
+      stake: 15,
+      call: 30,
+      minRaise: 32,
+      maxRaise: 60
+    });
+    assert.throws(() => act(state, 'p2', 'raise', { amount: 33 }), /multiples of 2/);
+    assert.throws(() => act(state, 'p2', 'raise', { amount: 62 }), /between 32 and 60/);
+
+    state = act(state, 'p2', 'raise', { amount: 60 });
+    assert.equal(state.currentBet, 30);
+  });
+
+  it('stops raising at the table\'s max bet', () => {
+    let { state } = deal(createTable([1000, 1000], { maxBet: 15 }), ['2h 5d 9c', 'Kh Kd 3c']);
+    assert.equal(rules.getBetLimits(state, findPlayer(state, 'p1')).maxRaise, 15);
+
+    state = act(state, 'p1', 'raise', { amount: 15 });
+    assert.equal(rules.getBetLimits(state, findPlayer(state, 'p0')).maxRaise, null);
+    assert.throws(() => act(state, 'p0', 'raise', { amount: 16 }), /already at the table maximum/);
+  });
+});
+
+describe('pot and blind round limits', () => {
+  it('goes to showdown once a bet takes the pot to its limit', () => {
+    let { state } = deal(createTable([1000, 1000, 1000], { potLimit: 50 }), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(state, 'p1', 'blind');
+
+    const { state: after, events } = engine.applyAction(state, { type: 'blind', playerId: 'p2' });
+    const showdown = after.history.find(h => h.action === 'showdown');
+
+    assert.equal(showdown.details, 'Pot limit of 50 reached - showdown');
+    assert.deepEqual(findEvent(events, 'hand_ended').pots[0].winners.map(w => w.playerId), ['p2']);
+  });
+
+  it('makes blind players see their cards once the blind rounds are up', () => {
+    let { state } = deal(createTable([1000, 1000, 1000], { maxBlindRounds: 1 }), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(act(state, 'p1', 'blind'), 'p2', 'see');
+    state = act(state, 'p2', 'call');
+
+    const { state: after, events } = engine.applyAction(state, { type: 'blind', playerId: 'p0' });
+
+    assert.equal(after.round, 2);
+    assert.equal(after.players.every(p => !p.isBlind), true);
+    assert.deepEqual(events.filter(e => e.type === 'cards_seen').map(e => [e.playerId, e.forced]), [['p0', true], ['p1', true]]);
+    assert.throws(() => act(after, 'p1', 'blind'), /already seen your cards/);
+  });
+
+  it('leaves blind play alone without a limit', () => {
+    let { state } = deal(createTable([1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c']);
+    for (let i = 0; i < 5; i++) {
+      state = act(act(state, 'p1', 'blind'), 'p0', 'blind');
+    }
+
+    assert.equal(state.round, 6);
+    assert.equal(state.players.every(p => p.isBlind), true);
+  });
+});
+
+describe('side show', () => {
+  // p1 acts first; everyone has seen and p1 has called, so p2 may ask p1
+  const readyForSideShow = (hands) => {
+    let { state } = deal(createTable([1000, 1000, 1000]), hands);
+    ['p0', 'p1', 'p2'].forEach(id => {
+      state = act(state, id, 'see');
+    });
+    return act(state, 'p1', 'call');
+  };
+
+  it('asks the previous player still in the hand and waits for their answer', () => {
+    const state = readyForSideShow(['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    const { state: after, events } = engine.applyAction(state, { type: 'side_show', playerId: 'p2' });
+
+    assert.deepEqual(after.sideShow, { requester: 'p2', target: 'p1' });
+    assert.deepEqual(findEvent(events, 'side_show_requested'), { type: 'side_show_requested', requesterId: 'p2', targetId: 'p1' });
+    assert.throws(() => act(after, 'p0', 'side_show_response', { accept: true }), /No side show request pending for you/);
+    assert.throws(() => act(after, 'p0', 'call'), /Waiting for side show response/);
+  });
+
+  it('folds the weaker hand when accepted and records the outcome', () => {
+    const state = readyForSideShow(['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    const { state: after, events } = engine.applyAction(
+      act(state, 'p2', 'side_show'),
+      { type: 'side_show_response', playerId: 'p1', accept: true }
+    );
+
+    assert.equal(after.players.find(p => p.id === 'p1').isFolded, true);
+    assert.equal(after.players.find(p => p.id === 'p2').isFolded, false);
+    assert.equal(findEvent(events, 'side_show_resolved').loserId, 'p1');
+    assert.equal(after.history[after.history.length - 1].action, 'side_show');
+    assert.equal(after.players[after.currentPlayerIndex].id, 'p0');
+  });
+
+  it('folds the player who asked when the hands are equal', () => {
+    const state = readyForSideShow(['2h 5d 9c', 'Kh Kd 3c', 'Ks Kc 3d']);
+    const after = act(act(state, 'p2', 'side_show'), 'p1', 'side_show_response', { accept: true });
+
+    assert.equal(after.players.find(p => p.id === 'p2').isFolded, true);
+    assert.equal(after.players.find(p => p.id === 'p1').isFolded, false);
+  });
+
+  it('moves on with nobody folding when declined', () => {
+    const state = readyForSideShow(['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    const after = act(act(state, 'p2', 'side_show'), 'p1', 'side_show_response', { accept: false });
+
+    assert.equal(after.sideShow, null);
+    assert.equal(after.players.every(p => !p.isFolded), true);
+    assert.equal(after.history[after.history.length - 1].action, 'side_show_declined');
+    assert.equal(after.players[after.currentPlayerIndex].id, 'p0');
+  });
+
+  it('needs the asking and the asked player to have seen their cards', () => {
+    let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(state, 'p1', 'call');
+
+    assert.throws(() => act(state, 'p2', 'side_show'), /must see your cards/);
+    assert.throws(() => act(act(state, 'p2', 'see'), 'p2', 'side_show'), /previous player has not seen/);
+  });
+
+  it('is not allowed with only two players in the hand', () => {
+    let { state } = deal(createTable([1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c']);
+    state = act(act(state, 'p0', 'see'), 'p1', 'see');
+
+    assert.throws(() => act(state, 'p1', 'side_show'), /at least 3 players/);
+  });
+
+  it('is turned down before any chips move when the player cannot cover it', () => {
+    // p2 has 15 chips left after the boot, short of the 20 a seen call costs
+    let { state } = deal(createTable([1000, 1000, 25]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    ['p0', 'p1', 'p2'].forEach(id => {
+      state = act(state, id, 'see');
+    });
+    state = act(state, 'p1', 'call');
+
+    assert.throws(() => act(state, 'p2', 'side_show'), /Insufficient chips to ask for a side show/);
+    assert.equal(findPlayer(state, 'p2').chips, 15);
+  });
+
+  it('is turned down when its call would reach the pot limit', () => {
+    let { state } = deal(createTable([1000, 1000, 1000], { potLimit: 70 }), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    ['p0', 'p1', 'p2'].forEach(id => {
+      state = act(state, id, 'see');
+    });
+    state = act(state, 'p1', 'call');
+
+    assert.throws(() => act(state, 'p2', 'side_show'), /would reach the pot limit/);
+    assert.equal(state.pot, 50);
+
+    // A plain call still ends the hand at the limit
+    const { events } = engine.applyAction(state, { type: 'call', playerId: 'p2' });
+    assert.ok(findEvent(events, 'hand_ended'));
+  });
+});
+
+describe('all-in and side pots', () => {
+  it('puts a player all-in when a call takes exactly their last chips', () => {
+    // p1 has 10 chips left after the boot, exactly the blind stake
+    let { state } = deal(createTable([1000, 20, 1000]), ['2h 5d 9c', 'Ah Ad Ac', 'Kh Kd 3c']);
+    state = act(state, 'p1', 'call');
+    const p1 = findPlayer(state, 'p1');
+
+    assert.equal(p1.chips, 0);
+    assert.equal(p1.isAllIn, true);
+    assert.equal(state.history[state.history.length - 1].action, 'all-in');
+
+    // The turn passes them by from then on
+    state = act(act(state, 'p2', 'call'), 'p0', 'call');
+    assert.equal(state.players[state.currentPlayerIndex].id, 'p2');
+  });
+
+  it('lets a short player call with everything they have and stay in the hand', () => {
+    // p1 has 5 chips left after the boot
+    const { state } = deal(createTable([1000, 15, 1000]), ['2h 5d 9c', 'Ah Ad Ac', 'Kh Kd 3c']);
+    const after = act(state, 'p1', 'call');
+    const p1 = findPlayer(after, 'p1');
+
+    assert.equal(p1.chips, 0);
+    assert.equal(p1.isAllIn, true);
+    assert.equal(p1.totalBet, 15);
+    assert.equal(p1.isFolded, false);
+    assert.equal(after.players[after.currentPlayerIndex].id, 'p2');
+    assert.equal(after.history[after.history.length - 1].action, 'all-in');
+  });
+
+  it('pays the main pot to the all-in player and returns what nobody matched', () => {
+    let { state } = deal(createTable([1000, 15, 1000]), ['2h 5d 9c', 'Ah Ad Ac', 'Kh Kd 3c']);
+    state = act(state, 'p1', 'call');
+    state = act(state, 'p2', 'call');
+
+    const { state: after, events } = engine.applyAction(state, { type: 'fold', playerId: 'p0' }, { commissionRate: 0 });
+    const ended = findEvent(events, 'hand_ended');
+
+    assert.deepEqual(ended.pots.map(pot => [pot.name, pot.amount, pot.isUncalled]), [
+      ['main', 40, false],
+      ['side 1', 5, true]
+    ]);
+    assert.deepEqual(ended.pots[0].winners, [{ playerId: 'p1', amount: 40 }]);
+    assert.deepEqual(ended.pots[1].winners, [{ playerId: 'p2', amount: 5 }]);
+    assert.equal(findPlayer(after, 'p1').chips, 40);
+    assert.equal(findPlayer(after, 'p2').chips, 985);
+    assert.equal(sumChips(after), 2015);
+    assert.deepEqual(after.winners, ['p1']);
+  });
+
+  it('pays a called side pot to the best hand that can win it', () => {
+    // p1 is all-in from the boot; p2 and p0 call until the pot limit forces a showdown
+    let { state } = deal(createTable([1000, 10, 1000], { potLimit: 50 }), ['Kh Kd 3c', 'Ah Ad Ac', 'Qh Qd 2c']);
+    assert.equal(state.players[state.currentPlayerIndex].id, 'p2');
+    state = act(state, 'p2', 'call');
+
+    const { state: after, events } = engine.applyAction(state, { type: 'call', playerId: 'p0' }, { commissionRate: 0 });
+    const ended = findEvent(events, 'hand_ended');
+
+    assert.deepEqual(ended.pots.map(pot => [pot.name, pot.amount, pot.isUncalled]), [
+      ['main', 30, false],
+      ['side 1', 20, false]
+    ]);
+    assert.deepEqual(ended.pots[0].winners, [{ playerId: 'p1', amount: 30 }]);
+    assert.deepEqual(ended.pots[1].winners, [{ playerId: 'p0', amount: 20 }]);
+    assert.deepEqual([...after.winners].sort(), ['p0', 'p1']);
+    assert.equal(sumChips(after), 2010);
+  });
+
+  it('splits a pot evenly between exactly equal hands, odd chips to the earliest winner', () => {
+    let { state } = deal(createTable([1000, 1000, 1000], { bootAmount: 11, minBet: 11 }), ['2h 5d 9c', 'Kh Kd 3c', 'Ks Kc 3d']);
+    state = act(state, 'p1', 'call');
+    state = act(act(state, 'p2', 'see'), 'p2', 'call');
+    state = act(state, 'p0', 'fold');
+
+    // 33 in boots, 11 and 22 in calls and 11 for p1's show
+    const { state: after, events } = engine.applyAction(state, { type: 'show', playerId: 'p1' }, { commissionRate: 0 });
+    const ended = findEvent(events, 'hand_ended');
+
+    assert.equal(ended.pots.length, 1);
+    assert.deepEqual(ended.pots[0].winners, [{ playerId: 'p1', amount: 39 }, { playerId: 'p2', amount: 38 }]);
+    assert.deepEqual([...after.winners].sort(), ['p1', 'p2']);
+    assert.equal(sumChips(after), 3000);
+  });
+});
+
+describe('boot', () => {
+  it('takes the boot from everyone dealt in and opens the stake at it', () => {
+    const { state, events } = engine.startHand(createTable([1000, 1000, 1000], { bootAmount: 25, minBet: 10 }), { rng: () => 0 });
+
+    assert.equal(state.pot, 75);
+    assert.equal(state.currentBet, 25);
+    assert.deepEqual(state.players.map(p => [p.chips, p.totalBet]), [[975, 25], [975, 25], [975, 25]]);
+    assert.deepEqual(events.filter(e => e.type === 'boot').map(e => [e.playerId, e.amount]), [['p0', 25], ['p1', 25], ['p2', 25]]);
+    assert.equal(state.history.filter(h => h.action === 'boot').length, 3);
+  });
+
+  it('uses the min bet as the boot when the table has none', () => {
+    const { state } = engine.startHand(createTable([1000, 1000], { bootAmount: null, minBet: 20 }), { rng: () => 0 });
+
+    assert.equal(state.pot, 40);
+  });
+
+  it('sits out a player who cannot cover the boot at a persistent table', () => {
+    const { state, events } = engine.startHand(createTable([1000, 5, 1000]), { rng: () => 0 });
+
+    assert.deepEqual(findEvent(events, 'player_sat_out'), { type: 'player_sat_out', playerId: 'p1' });
+    assert.equal(findPlayer(state, 'p1').isPlaying, false);
+    assert.equal(findPlayer(state, 'p1').chips, 5);
+    assert.equal(state.pot, 20);
+  });
+
+  it('removes a player who cannot cover the boot from a single-hand game', () => {
+    const { state, events } = engine.startHand(createTable([1000, 5, 1000], { isPersistent: false }), { rng: () => 0 });
+
+    assert.deepEqual(findEvent(events, 'player_removed'), { type: 'player_removed', playerId: 'p1' });
+    assert.deepEqual(state.players.map(p => p.id), ['p0', 'p2']);
+    assert.equal(state.pot, 20);
+  });
+
+  it('does not deal when fewer than two players can cover the boot', () => {
+    assert.throws(
+      () => engine.startHand(createTable([1000, 5]), { rng: () => 0 }),
+      (error) => error instanceof engine.RuleError && /at least 2 players/.test(error.message)
+    );
+  });
+});
+
+describe('commission', () => {
+  // p1 is all-in from the boot, so the called main pot is 30 and the called side pot 20
+  const settleWithSidePot = (options) => {
+    let { state } = deal(createTable([1000, 10, 1000], { potLimit: 50 }), ['Kh Kd 3c', 'Ah Ad Ac', 'Qh Qd 2c']);
+    state = act(state, 'p2', 'call');
+    return engine.applyAction(state, { type: 'call', playerId: 'p0' }, options);
+  };
+
+  // Everyone folds to p0, who only put in the boot
+  const settleOnBoots = (options) => {
+    let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(state, 'p1', 'fold');
+    return engine.applyAction(state, { type: 'fold', playerId: 'p2' }, options);
+  };
+
+  it('takes the rate from each called pot, rounded down', () => {
+    const { state, events } = settleWithSidePot({ commissionRate: 0.05 });
+    const ended = findEvent(events, 'hand_ended');
+
+    assert.deepEqual(ended.pots.map(pot => pot.commission), [1, 1]);
+    assert.equal(ended.commission, 2);
+    assert.equal(ended.commissionRate, 0.05);
+    assert.deepEqual(ended.pots[0].winners, [{ playerId: 'p1', amount: 29 }]);
+    assert.deepEqual(ended.pots[1].winners, [{ playerId: 'p0', amount: 19 }]);
+    assert.equal(sumChips(state), 2008);
+  });
+
+  it('stops taking commission once the cap for the hand is reached', () => {
+    const { events } = settleWithSidePot({ commissionRate: 0.1, commissionCap: 4 });
+    const ended = findEvent(events, 'hand_ended');
+
+    assert.deepEqual(ended.pots.map(pot => pot.commission), [3, 1]);
+    assert.equal(ended.commission, 4);
+    assert.equal(ended.commissionCap, 4);
+  });
+
+  it('never takes commission from chips nobody matched', () => {
+    let { state } = deal(createTable([1000, 15, 1000]), ['2h 5d 9c', 'Ah Ad Ac', 'Kh Kd 3c']);
+    state = act(state, 'p1', 'call');
+    state = act(state, 'p2', 'call');
+
+    const { events } = engine.applyAction(state, { type: 'fold', playerId: 'p0' }, { commissionRate: 0.2 });
+    const ended = findEvent(events, 'hand_ended');
+
+    assert.deepEqual(ended.pots.map(pot => [pot.name, pot.commission]), [['main', 8], ['side 1', 0]]);
+    assert.deepEqual(ended.pots[1].winners, [{ playerId: 'p2', amount: 5 }]);
+    assert.equal(ended.commission, 8);
+  });
+
+  it('waives the commission on a hand nobody bet past the boot in under no_bet', () => {
+    const exempt = findEvent(settleOnBoots({ commissionRate: 0.1, commissionExemptions: ['no_bet'] }).events, 'hand_ended');
+    assert.equal(exempt.commission, 0);
+    assert.equal(exempt.commissionExemption, 'no_bet');
+    assert.deepEqual(exempt.pots[0].winners, [{ playerId: 'p0', amount: 30 }]);
+
+    const charged = findEvent(settleOnBoots({ commissionRate: 0.1 }).events, 'hand_ended');
+    assert.equal(charged.commission, 3);
+    assert.equal(charged.commissionExemption, null);
+  });
+
+  it('waives the commission on a hand won without a showdown under no_showdown', () => {
+    const settle = (options) => {
+      let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+      state = act(state, 'p1', 'call');
+      state = act(state, 'p2', 'fold');
+      return findEvent(engine.applyAction(state, { type: 'fold', playerId: 'p0' }, options).events, 'hand_ended');
+    };
+
+    const exempt = settle({ commissionRate: 0.1, commissionExemptions: ['no_showdown'] });
+    assert.equal(exempt.commission, 0);
+    assert.equal(exempt.commissionExemption, 'no_showdown');
+    assert.deepEqual(exempt.pots[0].winners, [{ playerId: 'p1', amount: 40 }]);
+
+    // p1 bet past the boot, so no_bet does not cover this hand
+    const charged = settle({ commissionRate: 0.1, commissionExemptions: ['no_bet'] });
+    assert.equal(charged.commission, 4);
+    assert.equal(charged.commissionExemption, null);
+  });
+
+  it('uses the platform rate when the table passes no options', () => {
+    const ended = findEvent(settleWithSidePot().events, 'hand_ended');
+
+    assert.equal(ended.commissionRate, engine.DEFAULT_COMMISSION_RATE);
+    assert.equal(ended.commissionCap, null);
+  });
+});
+
+describe('sitting out', () => {
+  it('keeps a player in the hand they sit out during and deals them out of the next', () => {
+    let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    state = act(state, 'p2', 'sit_out');
+
+    assert.equal(findPlayer(state, 'p2').isPlaying, true);
+    state = act(act(state, 'p1', 'fold'), 'p2', 'fold');
+
+    const { state: next } = engine.startHand(state, { rng: () => 0 });
+    assert.deepEqual(next.players.map(p => p.isPlaying), [true, true, false]);
+    assert.equal(findPlayer(next, 'p2').chips, 990);
+    assert.equal(findPlayer(next, 'p2').missedHands, 1);
+  });
+
+  it('removes a player who misses the table\'s limit of hands', () => {
+    const table = createTable([1000, 1000, 1000], { maxMissedHands: 2 });
+    table.players[2].isSittingOut = true;
+    table.players[2].missedHands = 1;
+
+    const { state, events } = engine.startHand(table, { rng: () => 0 });
+
+    assert.deepEqual(findEvent(events, 'player_removed'), { type: 'player_removed', playerId: 'p2', reason: 'sat_out' });
+    assert.deepEqual(state.players.map(p => p.id), ['p0', 'p1']);
+  });
+
+  it('deals a player back in from the hand after they sit in, with their count of missed hands reset', () => {
+    const table = createTable([1000, 1000, 1000]);
+    table.players[2].isSittingOut = true;
+    table.players[2].missedHands = 2;
+
+    const { state } = engine.applyAction(table, { type: 'sit_in', playerId: 'p2' });
+    assert.equal(findPlayer(state, 'p2').missedHands, 0);
+    assert.throws(() => act(state, 'p2', 'sit_in'), /already sitting in/);
+
+    const { state: next } = engine.startHand(state, { rng: () => 0 });
+    assert.equal(findPlayer(next, 'p2').isPlaying, true);
+  });
+
+  it('is only for cash players at persistent tables', () => {
+    assert.throws(() => act(createTable([1000, 1000], { isPersistent: false }), 'p0', 'sit_out'), /only available at persistent tables/);
+    assert.throws(() => act(createTable([1000, 1000], { isTournament: true }), 'p0', 'sit_out'), /cannot sit out of a tournament/);
+  });
+});
+
+describe('timeout', () => {
+  const timeOut = (state) => engine.applyAction(state, { type: 'timeout' });
+
+  it('folds the player to act and passes the turn on', () => {
+    const { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    const { state: after, events } = timeOut(state);
+
+    assert.equal(findPlayer(after, 'p1').isFolded, true);
+    assert.deepEqual(findEvent(events, 'player_action'), { type: 'player_action', playerId: 'p1', action: 'fold', auto: true });
+    assert.equal(after.history[after.history.length - 1].details, 'p1 ran out of time and folded');
+    assert.equal(after.players[after.currentPlayerIndex].id, 'p2');
+  });
+
+  it('ends the hand when the fold leaves one player', () => {
+    const { state } = deal(createTable([1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c']);
+    const { state: after, events } = timeOut(state);
+
+    assert.deepEqual(findEvent(events, 'hand_ended').pots[0].winners.map(w => w.playerId), ['p0']);
+    assert.deepEqual(after.winners, ['p0']);
+  });
+
+  it('declines a pending side show instead of folding anyone', () => {
+    let { state } = deal(createTable([1000, 1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c', 'Ah Ad 4c']);
+    ['p0', 'p1', 'p2'].forEach(id => {
+      state = act(state, id, 'see');
+    });
+    state = act(act(state, 'p1', 'call'), 'p2', 'side_show');
+
+    const { state: after, events } = timeOut(state);
+
+    assert.equal(after.sideShow, null);
+    assert.deepEqual(findEvent(events, 'side_show_resolved'), { type: 'side_show_resolved', requesterId: 'p2', targetId: 'p1', accepted: false });
+    assert.equal(after.players.every(p => !p.isFolded), true);
+    assert.equal(after.players[after.currentPlayerIndex].id, 'p0');
+  });
+
+  it('needs a hand in progress', () => {
+    assert.throws(() => timeOut(createTable([1000, 1000])), /No hand in progress/);
+  });
+
+  it('never checks, since the boot sets a stake', () => {
+    const { state } = deal(createTable([1000, 1000]), ['2h 5d 9c', 'Kh Kd 3c']);
+
+    assert.equal(state.currentBet, 10);
+    assert.throws(() => act(state, 'p1', 'check'), /Invalid action/);
+  });
+});
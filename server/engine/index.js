@@ -0,0 +1,10 @@
+// Framework-free Teen Patti engine: pure rules, a seedable deck and the hand state machine
+const engine = require('./engine');
+const rules = require('./rules');
+const deck = require('./deck');
+
+module.exports = {
+  ...engine,
+  rules,
+  deck
+};
@@ -0,0 +1,203 @@
+// Teen Patti table rules as pure functions over a table: the engine's plain state, or anything
+// shaped like it (the Game document delegates here too).
+
+const handEvaluator = require('../utils/handEvaluator');
+const { createDeck } = require('./deck');
+
+// Boot (ante) taken from every seated player at the start of a hand
+const getBootAmount = (table) => table.bootAmount || table.minBet;
+
+// Players still in the hand
+const getPlayersInHand = (table) => table.players.filter(p => !p.isFolded && p.isPlaying);
+
+// Players still in the hand who can bet (all-in players are waiting for showdown)
+const getActingPlayers = (table) => table.players.filter(p => !p.isFolded && p.isPlaying && !p.isAllIn);
+
+// Index of the next player dealt into the hand after the given seat
+const getNextPlayingIndex = (table, fromIndex) => {
+  for (let offset = 1; offset <= table.players.length; offset++) {
+    const index = (fromIndex + offset) % table.players.length;
+    if (table.players[index].isPlaying) {
+      return index;
+    }
+  }
+  return fromIndex;
+};
+
+// Find the closest player before the given seat who is still in the hand
+const getPreviousInHandIndex = (table, playerIndex) => {
+  let previousIndex = (playerIndex - 1 + table.players.length) % table.players.length;
+
+  while (table.players[previousIndex].isFolded || !table.players[previousIndex].isPlaying) {
+    previousIndex = (previousIndex - 1 + table.players.length) % table.players.length;
+  }
+
+  return previousIndex;
+};
+
+// Ranks that act as wild cards in this table's variant
+const getWildRanks = (table) => {
+  if (table.gameType === 'joker' && table.jokerCard && table.jokerCard.rank) {
+    return [table.jokerCard.rank];
+  }
+  if (table.gameType === 'ak47') {
+    return ['A', 'K', '4', '7'];
+  }
+  return [];
+};
+
+// Muflis tables play lowball: the weakest classic hand wins
+const isLowball = (table) => table.gameType === 'muflis';
+
+// Compare two hand values under this table's ranking (positive when a is stronger)
+const compareHandValues = (table, a, b) => (isLowball(table) ? b - a : a - b);
+
+// Find the strongest hand the cards can make, substituting any wild cards
+const getBestHand = (table, cards) => {
+  const wildRanks = getWildRanks(table);
+  const naturalCards = cards.filter(c => !wildRanks.includes(c.rank));
+  const wildCount = cards.length - naturalCards.length;
+
+  const scoreHand = (hand) => ({
+    cards: hand,
+    handRank: handEvaluator.evaluateHand(hand).handRank,
+    handValue: handEvaluator.getHandValue(hand),
+    usedWild: false
+  });
+
+  const natural = scoreHand(cards);
+  if (wildCount === 0) {
+    return natural;
+  }
+
+  let best = null;
+  if (wildCount >= 2) {
+    // Two or more wild cards always complete a trail of the highest natural rank
+    const trailRank = naturalCards.length > 0 ? naturalCards[0].rank : 'A';
+    best = scoreHand(cards.map(c => ({ suit: c.suit, rank: trailRank })));
+  } else {
+    // Single wild card: try every card in its place and keep the best
+    createDeck().forEach(substitute => {
+      const candidate = scoreHand([...naturalCards, substitute]);
+      if (!best || compareHandValues(table, candidate.handValue, best.handValue) > 0) {
+        best = candidate;
+      }
+    });
+  }
+
+  // Only flag the wild when substituting actually improved the hand
+  if (compareHandValues(table, best.handValue, natural.handValue) <= 0) {
+    return natural;
+  }
+
+  best.usedWild = true;
+  return best;
+};
+
+// Label for a player's hand as shown in results
+const getHandLabel = (table, player) => {
+  if (isLowball(table)) {
+    return `${player.handRank} (muflis)`;
+  }
+  if (player.usedWild) {
+    return `${player.handRank} (wild)`;
+  }
+  return player.handRank;
+};
+
+// Seen players bet double the blind stake
+const getStakeMultiplier = (player) => (player.isBlind ? 1 : 2);
+
+// Chips a player may put in on their turn. currentBet is the blind stake: a call keeps it,
+// a raise can at most double it and never above maxBet.
+const getBetLimits = (table, player) => {
+  const multiplier = getStakeMultiplier(player);
+  const stake = table.currentBet || table.minBet;
+  const maxStake = Math.min(stake * 2, table.maxBet);
+  const canRaise = maxStake > stake;
+
+  return {
+    isBlind: player.isBlind,
+    stake,
+    call: stake * multiplier,
+    minRaise: canRaise ? (stake + 1) * multiplier : null,
+    maxRaise: canRaise ? maxStake * multiplier : null
+  };
+};
+
+// Whether the pot has reached the table's limit and must go to showdown
+const isPotLimitReached = (table) => Boolean(table.potLimit) && table.pot >= table.potLimit;
+
+// Split everyone's contributions into a main pot and side pots. Each pot lists the players
+// who can win it: those still in the hand who put in at least that level.
+const buildPots = (table) => {
+  const inHand = getPlayersInHand(table);
+  const levels = [...new Set(inHand.map(p => p.totalBet))].sort((a, b) => a - b);
+  const pots = [];
+  let previousLevel = 0;
+
+  levels.forEach(level => {
+    const contributors = table.players.filter(p => p.totalBet > previousLevel);
+    const amount = contributors.reduce(
+      (sum, p) => sum + Math.min(p.totalBet, level) - previousLevel,
+      0
+    );
+    const eligible = inHand.filter(p => p.totalBet >= level);
+
+    if (amount > 0 || pots.length === 0) {
+      pots.push({ amount, eligible, contributors });
+    }
+
+    previousLevel = level;
+  });
+
+  // Folded players' chips above the highest level still in the hand go to the last pot
+  const leftover = table.players.reduce((sum, p) => sum + Math.max(0, p.totalBet - previousLevel), 0);
+  if (leftover > 0) {
+    const lastPot = pots[pots.length - 1];
+    lastPot.amount += leftover;
+    lastPot.contributors = [...new Set([...lastPot.contributors, ...table.players.filter(p => p.totalBet > previousLevel)])];
+  }
+
+  return pots;
+};
+
+// Determine winners among the given players, defaulting to everyone still in the hand
+// (more than one when the best hands are exactly equal)
+const determineWinners = (table, candidates) => {
+  const activePlayers = candidates || getPlayersInHand(table);
+
+  if (activePlayers.length <= 1) {
+    return activePlayers;
+  }
+
+  let winners = [activePlayers[0]];
+  activePlayers.slice(1).forEach(player => {
+    const comparison = compareHandValues(table, player.handValue, winners[0].handValue);
+    if (comparison > 0) {
+      winners = [player];
+    } else if (comparison === 0) {
+      winners.push(player);
+    }
+  });
+
+  return winners;
+};
+
+module.exports = {
+  getBootAmount,
+  getPlayersInHand,
+  getActingPlayers,
+  getNextPlayingIndex,
+  getPreviousInHandIndex,
+  getWildRanks,
+  isLowball,
+  compareHandValues,
+  getBestHand,
+  getHandLabel,
+  getStakeMultiplier,
+  getBetLimits,
+  isPotLimitReached,
+  buildPots,
+  determineWinners
+};
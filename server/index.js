@@ -12,6 +12,7 @@ const userRoutes = require('./routes/users');
 const gameRoutes = require('./routes/games');
 const transactionRoutes = require('./routes/transactions');
 const adminRoutes = require('./routes/admin');
+const tournamentRoutes = require('./routes/tournaments');
 const socketHandler = require('./socket/socketHandler');
 
 const app = express();
@@ -55,6 +56,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/tournaments', tournamentRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { DEFAULT_COMMISSION_RATE, COMMISSION_EXEMPTIONS } = require('../engine');
+
+// One version of the platform-wide commission ("rake"). Versions are never edited: an admin
+// change publishes the next version, and the highest version is the one in force. Tables and
+// templates without their own rate, cap or exemptions use it.
+const commissionSettingSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  // Share of each called pot
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 0.25
+  },
+  // Most commission taken from one hand (null: no cap)
+  cap: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  exemptions: [{
+    type: String,
+    enum: COMMISSION_EXEMPTIONS
+  }],
+  note: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Settings used until an admin publishes the first version
+commissionSettingSchema.statics.getInitial = function() {
+  const rate = parseFloat(process.env.PLATFORM_COMMISSION_RATE);
+  return {
+    version: 0,
+    rate: Number.isFinite(rate) ? rate : DEFAULT_COMMISSION_RATE,
+    cap: null,
+    exemptions: []
+  };
+};
+
+// The version in force
+commissionSettingSchema.statics.getCurrent = async function() {
+  const current = await this.findOne().sort({ version: -1 });
+  return current || this.getInitial();
+};
+
+// Publish the next version; it applies from the next hand dealt at each table
+commissionSettingSchema.statics.publish = async function({ rate, cap = null, exemptions = [], note = '' }, userId) {
+  const current = await this.getCurrent();
+
+  return this.create({
+    version: current.version + 1,
+    rate,
+    cap,
+    exemptions,
+    note,
+    createdBy: userId
+  });
+};
+
+module.exports = mongoose.model('CommissionSetting', commissionSettingSchema);
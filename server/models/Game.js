@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const engine = require('../engine');
+const provablyFair = require('../utils/provablyFair');
+
+const { rules } = engine;
+
+// Pause between hands at a persistent table
+const NEXT_HAND_DELAY_MS = 5000;
+
+// Buy-in range, in boots, for tables that do not set their own
+const DEFAULT_BUY_IN_BOOTS = { min: 10, max: 100 };
+
+// Invite codes leave out characters that are easy to confuse (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+// Whether a stored table password is a bcrypt hash rather than plain text
+const isPasswordHash = (value) => /^\$2[abxy]?\$\d{2}\$.{53}$/.test(value);
 
 const gameSchema = new mongoose.Schema({
   gameId: {
@@ -27,6 +46,21 @@ const gameSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  bootAmount: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  minBuyIn: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  maxBuyIn: {
+    type: Number,
+    default: null,
+    min: 1
+  },
   maxBet: {
     type: Number,
     required: true
@@ -35,6 +69,14 @@ const gameSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  potLimit: {
+    type: Number,
+    default: null
+  },
+  maxBlindRounds: {
+    type: Number,
+    default: null
+  },
   pot: {
     type: Number,
     default: 0
@@ -53,6 +95,12 @@ const gameSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Chips the player brought to the table; bets come out of this, never the wallet
+    stack: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     cards: [{
       suit: {
         type: String,
@@ -72,6 +120,10 @@ const gameSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    usedWild: {
+      type: Boolean,
+      default: false
+    },
     isPlaying: {
       type: Boolean,
       default: true
@@ -96,9 +148,22 @@ const gameSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    isSittingOut: {
+      type: Boolean,
+      default: false
+    },
+    // Hands dealt in a row while this player sat out
+    missedHands: {
+      type: Number,
+      default: 0
+    },
+    leaveAfterHand: {
+      type: Boolean,
+      default: false
+    },
     lastAction: {
       type: String,
-      enum: ['fold', 'call', 'raise', 'check', 'all-in'],
+      enum: ['fold', 'call', 'raise', 'check', 'all-in', 'blind', 'show', 'side-show'],
       default: null
     },
     joinedAt: {
@@ -106,6 +171,41 @@ const gameSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Tournament players waiting to sit down here with their stack: moved from another table
+  // or registered late while this one may have been mid-hand (see queueSeat)
+  pendingSeats: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    stack: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  sideShow: {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
   currentPlayerIndex: {
     type: Number,
     default: 0
@@ -118,6 +218,24 @@ const gameSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  isPersistent: {
+    type: Boolean,
+    default: false
+  },
+  // A player sitting out this many hands in a row loses their seat (null: never)
+  maxMissedHands: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  handNumber: {
+    type: Number,
+    default: 0
+  },
+  nextHandAt: {
+    type: Date,
+    default: null
+  },
   deck: [{
     suit: {
       type: String,
@@ -128,11 +246,53 @@ const gameSchema = new mongoose.Schema({
       enum: ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
     }
   }],
+  fairness: {
+    serverSeed: {
+      type: String,
+      default: null
+    },
+    serverSeedHash: {
+      type: String,
+      default: null
+    },
+    clientSeeds: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      seed: {
+        type: String,
+        maxlength: 64
+      }
+    }],
+    nonce: {
+      type: Number,
+      default: 0
+    },
+    revealed: {
+      type: Boolean,
+      default: false
+    }
+  },
+  jokerCard: {
+    suit: {
+      type: String,
+      enum: ['hearts', 'diamonds', 'clubs', 'spades']
+    },
+    rank: {
+      type: String,
+      enum: ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
+    }
+  },
   winner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
   },
+  winners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   winningHand: {
     type: String,
     default: null
@@ -146,6 +306,12 @@ const gameSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // The other player in a side show
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     amount: {
       type: Number,
       default: 0
@@ -157,16 +323,109 @@ const gameSchema = new mongoose.Schema({
     details: {
       type: String,
       default: ''
-    }
+    },
+    // Table after the step
+    pot: {
+      type: Number,
+      default: 0
+    },
+    currentBet: {
+      type: Number,
+      default: 0
+    },
+    round: {
+      type: Number,
+      default: 1
+    },
+    stacks: [{
+      _id: false,
+      player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      stack: {
+        type: Number,
+        default: 0
+      },
+      totalBet: {
+        type: Number,
+        default: 0
+      }
+    }]
   }],
   isPrivate: {
     type: Boolean,
     default: false
   },
+  // Hashed like User.password
   password: {
     type: String,
     default: null
   },
+  // Short code the host shares to let people into a private table (null: revoked)
+  inviteCode: {
+    type: String,
+    default: null
+  },
+  allowSpectators: {
+    type: Boolean,
+    default: true
+  },
+  // Template the table was built from, if any
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TableTemplate',
+    default: null
+  },
+  // Rake on each called pot (null: the platform rate)
+  commissionRate: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 0.25
+  },
+  // Most rake taken from one hand (null: the platform cap)
+  commissionCap: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Hands played without rake (null: the platform exemptions)
+  commissionExemptions: {
+    type: [{
+      type: String,
+      enum: engine.COMMISSION_EXEMPTIONS
+    }],
+    default: null
+  },
+  // Commission settings fixed when the current hand was dealt; version is the platform
+  // setting version they came from (null when the table's own settings cover everything)
+  handCommission: {
+    rate: {
+      type: Number,
+      default: null
+    },
+    cap: {
+      type: Number,
+      default: null
+    },
+    exemptions: [String],
+    version: {
+      type: Number,
+      default: null
+    }
+  },
+  // Opened by the server rather than a player: deals as soon as two players sit down
+  autoStart: {
+    type: Boolean,
+    default: false
+  },
+  // Set for a tournament table: stacks are tournament chips and stakes follow its levels
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -189,7 +448,22 @@ const gameSchema = new mongoose.Schema({
     default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toObject: {
+    // Never send the undealt deck, or the server seed before the hand is over. The password
+    // hash and invite code stay on the server; the host gets the code from its own route.
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.inviteCode;
+      if (ret.fairness) {
+        delete ret.deck;
+        if (!ret.fairness.revealed) {
+          delete ret.fairness.serverSeed;
+        }
+      }
+      return ret;
+    }
+  }
 });
 
 // Indexes for better performance
@@ -197,199 +471,638 @@ gameSchema.index({ gameId: 1 });
 gameSchema.index({ status: 1 });
 gameSchema.index({ createdBy: 1 });
 gameSchema.index({ 'players.user': 1 });
+gameSchema.index({ status: 1, autoFoldTimer: 1 });
+gameSchema.index({ status: 1, nextHandAt: 1 });
+gameSchema.index({ template: 1, status: 1 });
+gameSchema.index({ inviteCode: 1 }, { unique: true, partialFilterExpression: { inviteCode: { $type: 'string' } } });
+
+// Every new game commits to a server seed before anyone can add a client seed
+gameSchema.pre('save', function(next) {
+  if (this.isNew && !this.fairness.serverSeed) {
+    this.commitServerSeed();
+  }
+  next();
+});
+
+// Hash the table password before saving
+gameSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Why a set of table settings does not hold together, or null when it does. Shared by
+// tables players create and the templates admins set up.
+gameSchema.statics.getSettingsError = function(settings) {
+  const { minBet, maxBet, bootAmount, potLimit, minBuyIn, maxBuyIn } = settings;
+
+  if (maxBet < minBet) {
+    return 'Max bet must be greater than or equal to min bet';
+  }
+
+  if (bootAmount && bootAmount > maxBet) {
+    return 'Boot amount cannot be more than max bet';
+  }
+
+  if (potLimit && potLimit <= minBet) {
+    return 'Pot limit must be greater than min bet';
+  }
+
+  if (minBuyIn && minBuyIn < (bootAmount || minBet)) {
+    return 'Min buy-in must cover at least one boot';
+  }
+
+  if (minBuyIn && maxBuyIn && maxBuyIn < minBuyIn) {
+    return 'Max buy-in must be greater than or equal to min buy-in';
+  }
+
+  return null;
+};
 
 // Generate unique game ID
 gameSchema.statics.generateGameId = function() {
   return 'TP' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
 };
 
-// Add player to game
-gameSchema.methods.addPlayer = function(userId) {
+// Seat numbers nobody is sitting in
+gameSchema.methods.getFreeSeats = function() {
+  const takenSeats = this.players.map(p => p.position);
+  return Array.from({ length: this.maxPlayers }, (value, seat) => seat)
+    .filter(seat => !takenSeats.includes(seat));
+};
+
+// Hold a seat at a tournament table for a player and their stack. The table may be in the
+// middle of a hand with its own copy of the document, which would overwrite a player added
+// to this one, so the seat is queued atomically and taken up between hands. An idle table
+// is given a next hand to seat them at. Resolves to the table as it now stands.
+gameSchema.statics.queueSeat = async function(gameId, userId, stack) {
+  const table = await this.findOneAndUpdate(
+    { _id: gameId, status: { $in: ['waiting', 'active'] } },
+    { $push: { pendingSeats: { user: userId, stack } } },
+    { new: true }
+  );
+  if (!table) {
+    throw new Error('Table is closed');
+  }
+
+  if (table.status !== 'waiting' || table.nextHandAt) {
+    return table;
+  }
+
+  const scheduled = await this.findOneAndUpdate(
+    { _id: gameId, status: 'waiting', nextHandAt: null },
+    { $set: { nextHandAt: new Date(Date.now() + NEXT_HAND_DELAY_MS) } },
+    { new: true }
+  );
+  return scheduled || this.findById(gameId);
+};
+
+// Seat the players queued for this table (the caller saves the game). The queue is taken
+// atomically, so a seat queued meanwhile waits for the next time. Resolves to the user ids seated.
+gameSchema.methods.seatPendingPlayers = async function() {
+  if (this.pendingSeats.length === 0) {
+    return [];
+  }
+
+  const before = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'pendingSeats.0': { $exists: true } },
+    { $set: { pendingSeats: [] } }
+  );
+
+  // The queue read with the rest of the document is out of date; keep it out of the next save
+  this.pendingSeats = [];
+  this.unmarkModified('pendingSeats');
+
+  const seats = before ? before.pendingSeats : [];
+  seats.forEach(({ user, stack }) => this.seatPlayer(user, null, stack));
+  return seats.map(({ user }) => user);
+};
+
+// Add player to game, in the given seat or the lowest free one, with a stack already paid for
+gameSchema.methods.addPlayer = function(userId, seat = null, stack = 0) {
+  this.seatPlayer(userId, seat, stack);
+  return this.save();
+};
+
+// Seat a player without saving (the caller saves the game)
+gameSchema.methods.seatPlayer = function(userId, seat = null, stack = 0) {
   if (this.players.length >= this.maxPlayers) {
     throw new Error('Game is full');
   }
   
-  if (this.status !== 'waiting') {
+  // Persistent tables take new players between hands; they are dealt in on the next one
+  if (this.status !== 'waiting' && !(this.isPersistent && this.status === 'active')) {
     throw new Error('Cannot join game in progress');
   }
   
   // Check if player already in game
-  const existingPlayer = this.players.find(p => p.user.toString() === userId.toString());
+  const existingPlayer = this.players.find(p => p.user._id.toString() === userId.toString());
   if (existingPlayer) {
     throw new Error('Player already in game');
   }
   
-  this.players.push({
+  const freeSeats = this.getFreeSeats();
+  if (seat === null || seat === undefined) {
+    seat = freeSeats[0];
+  } else if (!Number.isInteger(seat) || seat < 0 || seat >= this.maxPlayers) {
+    throw new Error('Invalid seat number');
+  } else if (!freeSeats.includes(seat)) {
+    throw new Error('Seat is already taken');
+  }
+
+  // Players are kept in seat order, which is the order of play
+  const index = this.players.filter(p => p.position < seat).length;
+  this.players.splice(index, 0, {
     user: userId,
-    position: this.players.length,
+    position: seat,
+    stack,
     cards: [],
-    isPlaying: true,
+    isPlaying: this.status !== 'active',
     isFolded: false,
     isBlind: true,
     currentBet: 0,
     totalBet: 0
   });
-  
-  return this.save();
+
+  // Indexes into the seat order move along with the players behind the new seat
+  if (this.players.length > 1) {
+    if (index <= this.dealerIndex) {
+      this.dealerIndex += 1;
+    }
+    if (this.status === 'active' && index <= this.currentPlayerIndex) {
+      this.currentPlayerIndex += 1;
+    }
+  }
 };
 
-// Remove player from game
-gameSchema.methods.removePlayer = function(userId) {
-  this.players = this.players.filter(p => p.user.toString() !== userId.toString());
-  
-  // Reposition remaining players
-  this.players.forEach((player, index) => {
-    player.position = index;
-  });
+// Remove player from game; whatever is left of their stack goes back to the wallet
+gameSchema.methods.removePlayer = async function(userId) {
+  const leaving = this.players.find(p => p.user._id.toString() === userId.toString());
+  if (leaving) {
+    await this.cashOut(leaving);
+  }
+
+  const removedIndex = this.players.findIndex(p => p.user._id.toString() === userId.toString());
+  this.players = this.players.filter(p => p.user._id.toString() !== userId.toString());
+
+  // Everyone else keeps their seat; keep the dealer button and the turn on the same players
+  if (removedIndex !== -1 && removedIndex < this.dealerIndex) {
+    this.dealerIndex -= 1;
+  }
+  if (removedIndex !== -1 && removedIndex < this.currentPlayerIndex) {
+    this.currentPlayerIndex -= 1;
+  }
+  if (this.dealerIndex >= this.players.length) {
+    this.dealerIndex = 0;
+  }
   
   if (this.players.length < 2 && this.status === 'active') {
     this.status = 'cancelled';
   }
+
+  // A persistent table closes once everyone has left
+  if (this.isPersistent && this.players.length === 0) {
+    this.status = 'completed';
+    this.nextHandAt = null;
+  }
   
   return this.save();
 };
 
-// Start the game
-gameSchema.methods.startGame = function() {
-  if (this.players.length < 2) {
-    throw new Error('Need at least 2 players to start');
+// Smallest and largest stack a player may bring to (or top up to at) this table
+gameSchema.methods.getBuyInLimits = function() {
+  const bootAmount = this.getBootAmount();
+  return {
+    min: this.minBuyIn || bootAmount * DEFAULT_BUY_IN_BOOTS.min,
+    max: this.maxBuyIn || bootAmount * DEFAULT_BUY_IN_BOOTS.max
+  };
+};
+
+// Seat a player with a stack bought from their wallet
+gameSchema.methods.buyIn = async function(userId, amount, seat = null) {
+  const Transaction = mongoose.model('Transaction');
+  const { min, max } = this.getBuyInLimits();
+
+  if (!Number.isInteger(amount) || amount < min || amount > max) {
+    throw new Error(`Buy-in must be between ${min} and ${max} chips`);
   }
-  
-  this.status = 'active';
-  this.startedAt = new Date();
-  this.dealCards();
-  
-  return this.save();
+
+  await this.addPlayer(userId, seat, amount);
+
+  try {
+    await Transaction.createBuyInTransaction(userId, amount, this._id);
+  } catch (error) {
+    // The wallet could not cover it after all: give the seat back without a cash-out
+    const player = this.players.find(p => p.user._id.toString() === userId.toString());
+    player.stack = 0;
+    await this.removePlayer(userId);
+    throw error;
+  }
+
+  return this;
 };
 
-// Deal cards to all players
-gameSchema.methods.dealCards = function() {
-  const deck = this.createDeck();
-  this.deck = this.shuffleDeck(deck);
-  
-  // Deal 3 cards to each player
-  this.players.forEach(player => {
-    player.cards = [];
-    for (let i = 0; i < 3; i++) {
-      player.cards.push(this.deck.pop());
-    }
-    player.handRank = this.evaluateHand(player.cards);
-    player.handValue = this.getHandValue(player.cards, player.handRank);
-  });
+// Add chips from the wallet to a seated player's stack between hands. Topping up an
+// empty or short stack is a rebuy.
+gameSchema.methods.topUp = async function(userId, amount) {
+  const Transaction = mongoose.model('Transaction');
+  const player = this.players.find(p => p.user._id.toString() === userId.toString());
+
+  if (!player) {
+    throw new Error('Player not in game');
+  }
+
+  if (this.tournament) {
+    throw new Error('Stacks cannot be topped up in a tournament');
+  }
+
+  // Not even for a player who has folded or is waiting for the next deal: settling the
+  // hand saves every stack, and would overwrite a top-up made while it was being played
+  if (this.status === 'active') {
+    throw new Error('Stacks can only be topped up between hands');
+  }
+
+  const { max } = this.getBuyInLimits();
+  if (!Number.isInteger(amount) || amount < 1 || player.stack + amount > max) {
+    throw new Error(`Stack cannot go above the table maximum of ${max} chips`);
+  }
+
+  const isRebuy = player.stack < this.getBootAmount();
+  await Transaction.createBuyInTransaction(
+    userId,
+    amount,
+    this._id,
+    `${isRebuy ? 'Rebuy' : 'Top-up'} of ${amount} chips in game ${this._id}`
+  );
+
+  player.stack += amount;
+  await this.save();
+
+  return { stack: player.stack, isRebuy };
 };
 
-// Create a standard deck
-gameSchema.methods.createDeck = function() {
-  const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-  const ranks = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-  const deck = [];
-  
-  suits.forEach(suit => {
-    ranks.forEach(rank => {
-      deck.push({ suit, rank });
-    });
-  });
-  
-  return deck;
+// Return a player's stack to their wallet (the caller saves the game). Tournament chips
+// are worth nothing outside the tournament and are simply cleared.
+gameSchema.methods.cashOut = async function(player) {
+  const Transaction = mongoose.model('Transaction');
+  const amount = player.stack;
+
+  if (amount > 0 && this.tournament) {
+    player.stack = 0;
+    return 0;
+  }
+
+  if (amount > 0) {
+    await Transaction.createCashOutTransaction(player.user._id, amount, this._id);
+    player.stack = 0;
+  }
+
+  return amount;
+};
+
+// Give the table a new invite code, replacing any earlier one (the caller saves the game)
+gameSchema.methods.rotateInviteCode = function() {
+  this.inviteCode = Array.from(
+    { length: INVITE_CODE_LENGTH },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+  ).join('');
+  return this.inviteCode;
 };
 
-// Shuffle deck
-gameSchema.methods.shuffleDeck = function(deck) {
-  const shuffled = [...deck];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Link that opens the join screen for this table's invite code
+gameSchema.methods.getInviteLink = function() {
+  if (!this.inviteCode) {
+    return null;
   }
-  return shuffled;
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/join/${this.inviteCode}`;
 };
 
-// Evaluate hand ranking
-gameSchema.methods.evaluateHand = function(cards) {
-  if (!cards || cards.length !== 3) return 'high-card';
-  
-  const ranks = cards.map(c => c.rank).sort();
-  const suits = cards.map(c => c.suit);
-  
-  // Check for trail (three of a kind)
-  if (ranks[0] === ranks[1] && ranks[1] === ranks[2]) {
-    return 'trail';
+// Whether the invite code or the password lets a user into this table
+gameSchema.methods.checkAccess = async function({ inviteCode, password } = {}) {
+  if (!this.isPrivate) {
+    return true;
   }
-  
-  // Check for pure sequence
-  const rankValues = ranks.map(r => this.getRankValue(r)).sort((a, b) => a - b);
-  const isSequence = rankValues[1] === rankValues[0] + 1 && rankValues[2] === rankValues[1] + 1;
-  
-  if (isSequence && suits[0] === suits[1] && suits[1] === suits[2]) {
-    return 'pure-sequence';
+
+  if (inviteCode && this.inviteCode && inviteCode.toUpperCase() === this.inviteCode) {
+    return true;
   }
-  
-  // Check for sequence
-  if (isSequence) {
-    return 'sequence';
+
+  if (!password || !this.password) {
+    return false;
   }
-  
-  // Check for color (flush)
-  if (suits[0] === suits[1] && suits[1] === suits[2]) {
-    return 'color';
+
+  if (isPasswordHash(this.password)) {
+    return bcrypt.compare(password, this.password);
   }
-  
-  // Check for pair
-  if (ranks[0] === ranks[1] || ranks[1] === ranks[2] || ranks[0] === ranks[2]) {
-    return 'pair';
+
+  // Tables created before passwords were hashed still hold them in plain text; the first
+  // correct password hashes it in place
+  if (password !== this.password) {
+    return false;
   }
-  
-  return 'high-card';
+
+  const salt = await bcrypt.genSalt(12);
+  const hashed = await bcrypt.hash(password, salt);
+  await this.constructor.updateOne({ _id: this._id, password }, { password: hashed });
+  this.password = hashed;
+  this.unmarkModified('password');
+  return true;
+};
+
+// Why a user may not watch this table, or null when they may. credentials are the invite
+// code or password of a private table.
+gameSchema.methods.getSpectateError = async function(userId, credentials = {}) {
+  if (!this.allowSpectators) {
+    return 'Spectating is turned off for this table';
+  }
+
+  if (!['waiting', 'active'].includes(this.status)) {
+    return 'Game has already ended';
+  }
+
+  if (this.players.some(p => p.user._id.toString() === userId.toString())) {
+    return 'You are already playing at this table';
+  }
+
+  if (!(await this.checkAccess(credentials))) {
+    return 'Invalid invite code or password for private game';
+  }
+
+  return null;
+};
+
+// Boot (ante) taken from every seated player at the start of a hand
+gameSchema.methods.getBootAmount = function() {
+  return rules.getBootAmount(this);
 };
 
-// Get numeric value for rank
-gameSchema.methods.getRankValue = function(rank) {
-  const values = {
-    '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10,
-    'J': 11, 'Q': 12, 'K': 13, 'A': 14
+// Commission for the next hand: the table's own rate, cap and exemptions where it has them,
+// the platform settings in force for the rest. Tournament tables play for prizes instead.
+gameSchema.methods.getCommissionSettings = async function() {
+  if (this.tournament) {
+    return { rate: 0, cap: null, exemptions: [], version: null };
+  }
+
+  const own = {
+    rate: this.commissionRate,
+    cap: this.commissionCap,
+    exemptions: this.commissionExemptions
+  };
+  const inherits = Object.values(own).some(value => value === null || value === undefined);
+  const platform = inherits ? await mongoose.model('CommissionSetting').getCurrent() : null;
+  const pick = (field) => (own[field] !== null && own[field] !== undefined ? own[field] : platform[field]);
+
+  return {
+    rate: pick('rate'),
+    cap: pick('cap'),
+    exemptions: [...pick('exemptions')],
+    version: platform ? platform.version : null
   };
-  return values[rank] || 0;
 };
 
-// Calculate hand value for comparison
-gameSchema.methods.getHandValue = function(cards, handRank) {
-  const rankValues = cards.map(c => this.getRankValue(c.rank)).sort((a, b) => b - a);
-  
-  switch (handRank) {
-    case 'trail':
-      return 6000 + rankValues[0];
-    case 'pure-sequence':
-      return 5000 + rankValues[2]; // lowest card in sequence
-    case 'sequence':
-      return 4000 + rankValues[2];
-    case 'color':
-      return 3000 + rankValues[0] * 100 + rankValues[1] * 10 + rankValues[2];
-    case 'pair':
-      const pairValue = rankValues.find((val, idx) => 
-        rankValues.indexOf(val) !== idx
-      );
-      const kicker = rankValues.find(val => val !== pairValue);
-      return 2000 + pairValue * 100 + kicker;
-    default:
-      return rankValues[0] * 100 + rankValues[1] * 10 + rankValues[2];
+// Engine options for the hand in progress, from the settings fixed when it was dealt
+gameSchema.methods.getCommissionOptions = function() {
+  const { rate, cap, exemptions } = this.handCommission || {};
+  return {
+    commissionRate: rate === null || rate === undefined ? engine.DEFAULT_COMMISSION_RATE : rate,
+    commissionCap: cap || null,
+    commissionExemptions: exemptions ? [...exemptions] : []
+  };
+};
+
+// Start the game (at a persistent table, start the next hand with the dealer moved on).
+// The engine deals from the committed seeds; the boots it takes are recorded in the ledger.
+// Resolves to the engine's events: when the boots leave nobody able to bet they include
+// hand_ended, and the caller settles the hand.
+gameSchema.methods.startGame = async function() {
+  const User = mongoose.model('User');
+  const Transaction = mongoose.model('Transaction');
+
+  if (!this.populated('players.user')) {
+    await this.populate('players.user');
+  }
+
+  // Tournament stakes rise with the level clock
+  if (this.tournament) {
+    const tournament = await mongoose.model('Tournament').findById(this.tournament);
+    tournament.applyLevel(this);
+  }
+
+  if (!this.fairness.serverSeed) {
+    this.commitServerSeed();
+  }
+
+  // A change to the commission settings applies from the next hand, never mid-hand
+  this.handCommission = await this.getCommissionSettings();
+
+  this.fairness.nonce = this.handNumber + 1;
+
+  const { serverSeed, clientSeed, nonce } = this.getFairnessRecord();
+  const { state, events } = engine.startHand(this.toEngineState(), {
+    rng: provablyFair.createRng(serverSeed, clientSeed, nonce),
+    ...this.getCommissionOptions()
+  });
+
+  for (const event of events.filter(e => e.type === 'player_removed')) {
+    await this.cashOut(this.players.find(p => p.user._id.toString() === event.playerId));
+    await User.findByIdAndUpdate(event.playerId, { currentGameId: null });
+  }
+
+  // Taken before the state is applied, since a hand that ends at once has paid out already
+  const stacksBefore = new Map(this.players.map(p => [p.user._id.toString(), p.stack]));
+
+  this.applyEngineState(state);
+  this.startedAt = new Date();
+  this.nextHandAt = null;
+  this.autoFoldTimer = this.status === 'active' ? new Date(Date.now() + this.timeLimit * 1000) : null;
+
+  for (const event of events.filter(e => e.type === 'boot')) {
+    const stackAfter = stacksBefore.get(event.playerId) - event.amount;
+    await Transaction.createBootTransaction(event.playerId, event.amount, this._id, this.handNumber, stackAfter);
   }
+
+  await this.save();
+  return events;
 };
 
-// Determine winner
-gameSchema.methods.determineWinner = function() {
-  const activePlayers = this.players.filter(p => !p.isFolded && p.isPlaying);
-  
-  if (activePlayers.length === 1) {
-    return activePlayers[0];
+// Plain snapshot of the table for the engine (players must be populated with their user)
+gameSchema.methods.toEngineState = function() {
+  const toCard = (card) => ({ suit: card.suit, rank: card.rank });
+  const hasSideShow = this.sideShow && this.sideShow.requester;
+
+  return {
+    gameType: this.gameType,
+    status: this.status,
+    isPersistent: this.isPersistent,
+    isTournament: Boolean(this.tournament),
+    minBet: this.minBet,
+    maxBet: this.maxBet,
+    bootAmount: this.bootAmount,
+    potLimit: this.potLimit,
+    maxBlindRounds: this.maxBlindRounds,
+    maxMissedHands: this.maxMissedHands,
+    handNumber: this.handNumber,
+    dealerIndex: this.dealerIndex,
+    currentPlayerIndex: this.currentPlayerIndex,
+    currentBet: this.currentBet,
+    pot: this.pot,
+    round: this.round,
+    deck: this.deck.map(toCard),
+    jokerCard: this.jokerCard && this.jokerCard.rank ? toCard(this.jokerCard) : null,
+    sideShow: hasSideShow
+      ? { requester: this.sideShow.requester.toString(), target: this.sideShow.target.toString() }
+      : null,
+    winner: this.winner ? this.winner.toString() : null,
+    winners: this.winners.map(id => id.toString()),
+    winningHand: this.winningHand,
+    players: this.players.map(p => ({
+      id: p.user._id.toString(),
+      username: p.user.username,
+      chips: p.stack,
+      position: p.position,
+      cards: p.cards.map(toCard),
+      handRank: p.handRank,
+      handValue: p.handValue,
+      usedWild: p.usedWild,
+      isPlaying: p.isPlaying,
+      isFolded: p.isFolded,
+      isBlind: p.isBlind,
+      currentBet: p.currentBet,
+      totalBet: p.totalBet,
+      isAllIn: p.isAllIn,
+      isSittingOut: p.isSittingOut,
+      missedHands: p.missedHands,
+      lastAction: p.lastAction
+    })),
+    history: this.gameHistory.map(h => ({
+      action: h.action,
+      playerId: h.player ? h.player.toString() : null,
+      targetId: h.target ? h.target.toString() : null,
+      amount: h.amount,
+      details: h.details,
+      pot: h.pot,
+      currentBet: h.currentBet,
+      round: h.round,
+      stacks: h.stacks.map(s => ({ playerId: s.player.toString(), stack: s.stack, totalBet: s.totalBet })),
+      timestamp: h.timestamp
+    }))
+  };
+};
+
+// Copy an engine result back onto the document. The engine's chips are the table stacks;
+// the ledger records their movements from the engine's events.
+gameSchema.methods.applyEngineState = function(state) {
+  ['status', 'handNumber', 'dealerIndex', 'currentPlayerIndex', 'currentBet', 'pot', 'round', 'winningHand']
+    .forEach(key => {
+      this[key] = state[key];
+    });
+
+  this.deck = state.deck;
+  this.jokerCard = state.jokerCard || undefined;
+  this.winner = state.winner;
+  this.winners = state.winners;
+
+  // Keep the request time of a side show that is still pending
+  if (!state.sideShow) {
+    this.sideShow = { requester: null, target: null, requestedAt: null, expiresAt: null };
+  } else if (!this.sideShow.requester || this.sideShow.requester.toString() !== state.sideShow.requester) {
+    this.sideShow = { requester: state.sideShow.requester, target: state.sideShow.target, requestedAt: null, expiresAt: null };
   }
-  
-  let winner = activePlayers[0];
-  activePlayers.forEach(player => {
-    if (player.handValue > winner.handValue) {
-      winner = player;
-    }
+
+  // Players the engine dropped (no boot at a single-hand table, or sat out too long) leave the document too
+  this.players = this.players.filter(p => state.players.some(s => s.id === p.user._id.toString()));
+  this.players.forEach(player => {
+    const updated = state.players.find(s => s.id === player.user._id.toString());
+    player.stack = updated.chips;
+    ['position', 'cards', 'handRank', 'handValue', 'usedWild', 'isPlaying', 'isFolded', 'isBlind',
+      'currentBet', 'totalBet', 'isAllIn', 'isSittingOut', 'missedHands', 'lastAction'].forEach(key => {
+      player[key] = updated[key];
+    });
   });
-  
-  return winner;
+
+  this.gameHistory = state.history.map(h => ({
+    action: h.action,
+    player: h.playerId,
+    target: h.targetId,
+    amount: h.amount,
+    details: h.details,
+    pot: h.pot,
+    currentBet: h.currentBet,
+    round: h.round,
+    stacks: h.stacks.map(s => ({ player: s.playerId, stack: s.stack, totalBet: s.totalBet })),
+    timestamp: h.timestamp || new Date()
+  }));
+};
+
+// Set when a persistent table deals its next hand, if enough players are seated. New
+// tournament tables and tables the server opened (autoStart) deal their first hand this
+// way too, instead of waiting for the creator to start them.
+gameSchema.methods.scheduleNextHand = function() {
+  const seatedPlayers = this.players.filter(p => !p.isSittingOut);
+  const dealsOnItsOwn = this.isPersistent || this.autoStart;
+  const hasStarted = this.handNumber > 0 || Boolean(this.tournament) || this.autoStart;
+
+  if (dealsOnItsOwn && this.status === 'waiting' && hasStarted && seatedPlayers.length >= 2) {
+    this.nextHandAt = new Date(Date.now() + NEXT_HAND_DELAY_MS);
+  } else {
+    this.nextHandAt = null;
+  }
+
+  return this.nextHandAt;
+};
+
+// Commit to a fresh server seed for the next deal; only its hash is public until the hand ends
+gameSchema.methods.commitServerSeed = function() {
+  const serverSeed = provablyFair.generateServerSeed();
+
+  this.fairness = {
+    serverSeed,
+    serverSeedHash: provablyFair.hashSeed(serverSeed),
+    clientSeeds: [],
+    nonce: this.handNumber + 1,
+    revealed: false
+  };
+};
+
+// Add or replace a player's client seed for the next deal
+gameSchema.methods.setClientSeed = function(userId, seed) {
+  const existing = this.fairness.clientSeeds.find(c => c.user.toString() === userId.toString());
+  if (existing) {
+    existing.seed = seed;
+  } else {
+    this.fairness.clientSeeds.push({ user: userId, seed });
+  }
+};
+
+// Seeds needed to replay this hand's shuffle
+gameSchema.methods.getFairnessRecord = function() {
+  return {
+    serverSeed: this.fairness.serverSeed,
+    serverSeedHash: this.fairness.serverSeedHash,
+    clientSeed: provablyFair.combineClientSeeds(this.fairness.clientSeeds),
+    nonce: this.fairness.nonce
+  };
+};
+
+// Ranks that act as wild cards in this game's variant
+gameSchema.methods.getWildRanks = function() {
+  return rules.getWildRanks(this);
+};
+
+// Chips a player may put in on their turn
+gameSchema.methods.getBetLimits = function(player) {
+  return rules.getBetLimits(this, player);
+};
+
+// Label for a player's hand as shown in results
+gameSchema.methods.getHandLabel = function(player) {
+  return rules.getHandLabel(this, player);
 };
 
 // Add action to game history
@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Game = require('./Game');
+const provablyFair = require('../utils/provablyFair');
+require('./User');
+
+const { ObjectId } = mongoose.Types;
+
+// A persistent table between hands with one player per stack
+const createGame = (stacks, settings = {}) => new Game({
+  gameId: 'TP1',
+  maxPlayers: 6,
+  minBet: 10,
+  maxBet: 160,
+  bootAmount: 10,
+  isPersistent: true,
+  createdBy: new ObjectId(),
+  players: stacks.map((stack, seat) => ({ user: new ObjectId(), position: seat, stack })),
+  ...settings
+});
+
+describe('seatPendingPlayers', () => {
+  it('seats the queue as it stands in the database and leaves it out of the next save', async (t) => {
+    const queued = [{ user: new ObjectId(), stack: 700 }, { user: new ObjectId(), stack: 300 }];
+    const game = createGame([1000, 1000], { pendingSeats: [queued[0]] });
+    const update = t.mock.method(Game, 'findOneAndUpdate', async () => ({ pendingSeats: queued }));
+
+    const seated = await game.seatPendingPlayers();
+
+    assert.deepEqual(seated.map(String), queued.map(seat => seat.user.toString()));
+    assert.deepEqual(game.players.map(p => [p.position, p.stack]), [[0, 1000], [1, 1000], [2, 700], [3, 300]]);
+    assert.deepEqual(update.mock.calls[0].arguments[1], { $set: { pendingSeats: [] } });
+    assert.equal(game.isModified('pendingSeats'), false);
+  });
+
+  it('does nothing when no seat was queued', async (t) => {
+    const game = createGame([1000, 1000]);
+    const update = t.mock.method(Game, 'findOneAndUpdate', async () => null);
+
+    assert.deepEqual(await game.seatPendingPlayers(), []);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe('checkAccess', () => {
+  // A private table as loaded from the database, holding the password as stored
+  const loadPrivateGame = (password) => Game.hydrate({
+    ...createGame([1000]).toObject(),
+    isPrivate: true,
+    inviteCode: 'ABCD2345',
+    password
+  });
+
+  it('lets anyone into a public table', async () => {
+    assert.equal(await createGame([1000]).checkAccess(), true);
+  });
+
+  it('issues a new invite code in place of the old one, without look-alike characters', async () => {
+    const game = loadPrivateGame(null);
+    const code = game.rotateInviteCode();
+
+    assert.match(code, /^[A-HJKMNP-Z2-9]{8}$/);
+    assert.equal(game.getInviteLink(), `${process.env.CLIENT_URL || 'http://localhost:3000'}/join/${code}`);
+    assert.equal(await game.checkAccess({ inviteCode: code }), true);
+    assert.equal(await game.checkAccess({ inviteCode: 'ABCD2345' }), false);
+  });
+
+  it('takes the invite code in any case', async () => {
+    const game = loadPrivateGame(null);
+
+    assert.equal(await game.checkAccess({ inviteCode: 'abcd2345' }), true);
+    assert.equal(await game.checkAccess({ inviteCode: 'ABCD2346' }), false);
+    assert.equal(await game.checkAccess(), false);
+  });
+
+  it('checks the password against its hash', async () => {
+    const game = loadPrivateGame(await bcrypt.hash('secret', 4));
+
+    assert.equal(await game.checkAccess({ password: 'secret' }), true);
+    assert.equal(await game.checkAccess({ password: 'wrong' }), false);
+  });
+
+  it('hashes a password stored in plain text once it has been given correctly', async (t) => {
+    const game = loadPrivateGame('secret');
+    const update = t.mock.method(Game, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await game.checkAccess({ password: 'wrong' }), false);
+    assert.equal(update.mock.callCount(), 0);
+
+    assert.equal(await game.checkAccess({ password: 'secret' }), true);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: game._id, password: 'secret' });
+    assert.equal(await bcrypt.compare('secret', change.password), true);
+    assert.equal(game.password, change.password);
+    assert.equal(game.isModified('password'), false);
+
+    assert.equal(await game.checkAccess({ password: 'secret' }), true);
+    assert.equal(update.mock.callCount(), 1);
+  });
+});
+
+describe('fairness', () => {
+  it('publishes only the hash of the server seed until the hand is over', () => {
+    const game = createGame([1000, 1000]);
+    game.commitServerSeed();
+    const committed = game.fairness.serverSeed;
+
+    assert.equal(game.toObject().fairness.serverSeed, undefined);
+    assert.equal(game.toObject().fairness.serverSeedHash, provablyFair.hashSeed(committed));
+
+    game.fairness.revealed = true;
+    assert.equal(game.toObject().fairness.serverSeed, committed);
+  });
+
+  it('deals from the players\' client seeds in the order they set them, keeping each one\'s latest', () => {
+    const game = createGame([1000, 1000]);
+    game.commitServerSeed();
+    game.setClientSeed(game.players[1].user, 'first');
+    game.setClientSeed(game.players[0].user, 'second');
+    game.setClientSeed(game.players[1].user, 'changed');
+
+    assert.equal(game.getFairnessRecord().clientSeed, 'changed:second');
+  });
+});
+
+describe('seatPlayer', () => {
+  // Players in seats 0, 2 and 4, the one in seat 2 dealing
+  const createSpreadGame = (settings = {}) => {
+    const game = createGame([], settings);
+    [0, 2, 4].forEach(seat => game.seatPlayer(new ObjectId(), seat, 1000));
+    game.dealerIndex = 1;
+    return game;
+  };
+
+  it('seats a player in the seat they choose, keeping the players in seat order', () => {
+    const game = createSpreadGame();
+    const dealer = game.players[1].user;
+
+    game.seatPlayer(new ObjectId(), 1, 500);
+
+    assert.deepEqual(game.players.map(p => p.position), [0, 1, 2, 4]);
+    assert.equal(game.players[1].stack, 500);
+    assert.ok(game.players[game.dealerIndex].user.equals(dealer));
+    assert.deepEqual(game.getFreeSeats(), [3, 5]);
+  });
+
+  it('takes the lowest free seat when none is chosen', () => {
+    const game = createSpreadGame();
+
+    game.seatPlayer(new ObjectId());
+
+    assert.deepEqual(game.players.map(p => p.position), [0, 1, 2, 4]);
+  });
+
+  it('turns down a taken or made-up seat, a second seat and a full table', () => {
+    const game = createSpreadGame();
+
+    assert.throws(() => game.seatPlayer(new ObjectId(), 2), /Seat is already taken/);
+    assert.throws(() => game.seatPlayer(new ObjectId(), 6), /Invalid seat number/);
+    assert.throws(() => game.seatPlayer(new ObjectId(), 1.5), /Invalid seat number/);
+    assert.throws(() => game.seatPlayer(game.players[0].user, 1), /Player already in game/);
+
+    [1, 3, 5].forEach(seat => game.seatPlayer(new ObjectId(), seat));
+    assert.throws(() => game.seatPlayer(new ObjectId()), /Game is full/);
+  });
+
+  it('deals a player who sits down mid-hand in from the next hand, keeping the turn where it was', () => {
+    const game = createSpreadGame({ status: 'active' });
+    game.currentPlayerIndex = 2;
+    const toAct = game.players[2].user;
+
+    game.seatPlayer(new ObjectId(), 3);
+
+    assert.equal(game.players[3].isPlaying, false);
+    assert.ok(game.players[game.currentPlayerIndex].user.equals(toAct));
+  });
+});
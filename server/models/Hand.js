@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+const { deck } = require('../engine');
+const provablyFair = require('../utils/provablyFair');
+
+// One dealt hand at a table, with its full history and settlement
+const handSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: true
+  },
+  gameId: {
+    type: String,
+    required: true
+  },
+  handNumber: {
+    type: Number,
+    required: true
+  },
+  gameType: {
+    type: String,
+    enum: ['classic', 'joker', 'muflis', 'ak47'],
+    default: 'classic'
+  },
+  dealerIndex: {
+    type: Number,
+    default: 0
+  },
+  fairness: {
+    serverSeed: {
+      type: String,
+      default: null
+    },
+    serverSeedHash: {
+      type: String,
+      default: null
+    },
+    clientSeed: {
+      type: String,
+      default: ''
+    },
+    nonce: {
+      type: Number,
+      default: 0
+    }
+  },
+  jokerCard: {
+    suit: {
+      type: String,
+      enum: ['hearts', 'diamonds', 'clubs', 'spades']
+    },
+    rank: {
+      type: String,
+      enum: ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
+    }
+  },
+  players: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    position: {
+      type: Number,
+      required: true
+    },
+    cards: [{
+      suit: {
+        type: String,
+        enum: ['hearts', 'diamonds', 'clubs', 'spades']
+      },
+      rank: {
+        type: String,
+        enum: ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
+      }
+    }],
+    handRank: {
+      type: String,
+      default: null
+    },
+    isFolded: {
+      type: Boolean,
+      default: false
+    },
+    // Cards everyone at the table got to see: a showdown, or a winner's hand
+    shown: {
+      type: Boolean,
+      default: false
+    },
+    stackBefore: {
+      type: Number,
+      default: 0
+    },
+    stackAfter: {
+      type: Number,
+      default: 0
+    },
+    totalBet: {
+      type: Number,
+      default: 0
+    },
+    winnings: {
+      type: Number,
+      default: 0
+    }
+  }],
+  pot: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // The commission settings in force when the hand was dealt, and the exemption that waived
+  // the commission if one did. version is the platform setting version (null: table settings)
+  commissionSettings: {
+    rate: {
+      type: Number,
+      default: null
+    },
+    cap: {
+      type: Number,
+      default: null
+    },
+    exemptions: [String],
+    exemption: {
+      type: String,
+      default: null
+    },
+    version: {
+      type: Number,
+      default: null
+    }
+  },
+  pots: [{
+    name: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    commission: {
+      type: Number,
+      default: 0
+    },
+    winners: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      amount: {
+        type: Number,
+        default: 0
+      }
+    }]
+  }],
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  winners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  winningHand: {
+    type: String,
+    default: null
+  },
+  history: [{
+    action: {
+      type: String,
+      required: true
+    },
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The other player in a side show
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    details: {
+      type: String,
+      default: ''
+    },
+    // Table after the step
+    pot: {
+      type: Number,
+      default: 0
+    },
+    currentBet: {
+      type: Number,
+      default: 0
+    },
+    round: {
+      type: Number,
+      default: 1
+    },
+    stacks: [{
+      _id: false,
+      player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      stack: {
+        type: Number,
+        default: 0
+      },
+      totalBet: {
+        type: Number,
+        default: 0
+      }
+    }]
+  }],
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+handSchema.index({ game: 1, handNumber: -1 });
+handSchema.index({ 'players.user': 1, createdAt: -1 });
+handSchema.index({ 'commissionSettings.version': 1 });
+
+// Build the record for a finished hand from the table's current state
+handSchema.statics.createFromGame = function(game, { commission, commissionExemption = null, pots, payouts }) {
+  const winningsOf = (player) => payouts.has(player.user._id.toString()) ? payouts.get(player.user._id.toString()).amount : 0;
+
+  // Hands still in at the end were compared in a showdown; a winner's hand is announced anyway
+  const inAtEnd = game.players.filter(p => p.cards.length > 0 && !p.isFolded && p.isPlaying);
+  const isShown = (player) => (inAtEnd.length > 1 && inAtEnd.includes(player)) ||
+    Boolean(payouts.get(player.user._id.toString()) && payouts.get(player.user._id.toString()).won);
+
+  return this.create({
+    game: game._id,
+    gameId: game.gameId,
+    handNumber: game.handNumber,
+    gameType: game.gameType,
+    dealerIndex: game.dealerIndex,
+    fairness: game.getFairnessRecord(),
+    jokerCard: game.jokerCard,
+    players: game.players
+      .filter(p => p.cards.length > 0)
+      .map(p => ({
+        user: p.user._id,
+        position: p.position,
+        cards: p.cards,
+        handRank: game.getHandLabel(p),
+        isFolded: p.isFolded,
+        shown: isShown(p),
+        stackBefore: p.stack - winningsOf(p) + p.totalBet,
+        stackAfter: p.stack,
+        totalBet: p.totalBet,
+        winnings: winningsOf(p)
+      })),
+    pot: game.pot,
+    commission,
+    commissionSettings: {
+      rate: game.handCommission.rate,
+      cap: game.handCommission.cap,
+      exemptions: game.handCommission.exemptions,
+      exemption: commissionExemption,
+      version: game.handCommission.version
+    },
+    pots: pots.map(pot => ({
+      name: pot.name,
+      amount: pot.amount,
+      commission: pot.commission,
+      winners: pot.winners.map(w => ({ user: w.playerId, amount: w.amount }))
+    })),
+    winner: game.winner,
+    winners: game.winners,
+    winningHand: game.winningHand,
+    history: game.gameHistory.map(h => ({
+      action: h.action,
+      player: h.player,
+      target: h.target,
+      amount: h.amount,
+      timestamp: h.timestamp,
+      details: h.details,
+      pot: h.pot,
+      currentBet: h.currentBet,
+      round: h.round,
+      stacks: h.stacks
+    })),
+    startedAt: game.startedAt,
+    completedAt: game.completedAt
+  });
+};
+
+// Replay the shuffle from the revealed seeds and check it deals exactly the recorded cards
+handSchema.methods.verifyShuffle = function() {
+  const { serverSeed, serverSeedHash, clientSeed, nonce } = this.fairness;
+  const hashMatches = provablyFair.hashSeed(serverSeed) === serverSeedHash;
+
+  const shuffled = deck.shuffle(deck.createDeck(), provablyFair.createRng(serverSeed, clientSeed, nonce));
+  const { hands, jokerCard } = deck.dealHands(shuffled, this.players.length, this.gameType === 'joker');
+
+  const sameCard = (a, b) => Boolean(a && b) && a.suit === b.suit && a.rank === b.rank;
+  const handsMatch = this.players.every((player, i) =>
+    player.cards.length === 3 && player.cards.every((card, j) => sameCard(card, hands[i][j]))
+  );
+  const jokerMatches = this.gameType !== 'joker' || sameCard(this.jokerCard, jokerCard);
+
+  return {
+    verified: hashMatches && handsMatch && jokerMatches,
+    hashMatches,
+    cardsMatch: handsMatch && jokerMatches,
+    serverSeed,
+    serverSeedHash,
+    clientSeed,
+    nonce
+  };
+};
+
+// Step-by-step timeline of the hand as one viewer may see it. Cards are revealed where the
+// viewer saw them at the table: their own hand, hands shown to everyone, and both hands of
+// a side show they took part in. revealAll is for admins settling disputes.
+handSchema.methods.toReplay = function(viewerId, { revealAll = false } = {}) {
+  const idOf = (ref) => ref ? (ref._id || ref).toString() : null;
+  const viewer = viewerId.toString();
+
+  const sideShowPartners = new Set();
+  this.history
+    .filter(h => h.action === 'side_show' && h.target)
+    .forEach(h => {
+      const involved = [idOf(h.player), idOf(h.target)];
+      if (involved.includes(viewer)) {
+        involved.forEach(id => sideShowPartners.add(id));
+      }
+    });
+
+  const canSee = (player) => revealAll || player.shown || idOf(player.user) === viewer ||
+    sideShowPartners.has(idOf(player.user));
+
+  return {
+    gameId: this.gameId,
+    handNumber: this.handNumber,
+    gameType: this.gameType,
+    jokerCard: this.jokerCard && this.jokerCard.rank ? this.jokerCard : null,
+    players: this.players.map(player => {
+      const visible = canSee(player);
+      return {
+        userId: idOf(player.user),
+        username: player.user.username,
+        seat: player.position,
+        cards: visible ? player.cards : new Array(player.cards.length).fill({ hidden: true }),
+        handRank: visible ? player.handRank : null,
+        stackBefore: player.stackBefore,
+        stackAfter: player.stackAfter,
+        totalBet: player.totalBet,
+        winnings: player.winnings,
+        isFolded: player.isFolded
+      };
+    }),
+    steps: this.history.map((entry, index) => ({
+      step: index + 1,
+      action: entry.action,
+      playerId: idOf(entry.player),
+      targetId: idOf(entry.target),
+      amount: entry.amount,
+      details: entry.details,
+      pot: entry.pot,
+      currentBet: entry.currentBet,
+      round: entry.round,
+      stacks: entry.stacks.map(s => ({ playerId: idOf(s.player), stack: s.stack, totalBet: s.totalBet })),
+      timestamp: entry.timestamp
+    })),
+    pots: this.pots.map(pot => ({
+      name: pot.name,
+      amount: pot.amount,
+      commission: pot.commission,
+      winners: pot.winners.map(w => ({ playerId: idOf(w.user), amount: w.amount }))
+    })),
+    commission: this.commission,
+    commissionSettings: {
+      rate: this.commissionSettings.rate,
+      cap: this.commissionSettings.cap,
+      exemption: this.commissionSettings.exemption
+    },
+    winners: this.winners.map(idOf),
+    winningHand: this.winningHand,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('Hand', handSchema);
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Hand = require('./Hand');
+const User = require('./User');
+const { deck } = require('../engine');
+const provablyFair = require('../utils/provablyFair');
+
+const { ObjectId } = mongoose.Types;
+
+const SEEDS = { serverSeed: 'revealed-server-seed', clientSeed: 'alice:bob', nonce: 4 };
+
+// A hand dealt from the given seeds to the given number of players
+const createDealtHand = (players, settings = {}) => {
+  const { serverSeed, clientSeed, nonce } = SEEDS;
+  const shuffled = deck.shuffle(deck.createDeck(), provablyFair.createRng(serverSeed, clientSeed, nonce));
+  const { hands, jokerCard } = deck.dealHands(shuffled, players, settings.gameType === 'joker');
+
+  return new Hand({
+    game: new ObjectId(),
+    gameId: 'TP1',
+    handNumber: 3,
+    fairness: { ...SEEDS, serverSeedHash: provablyFair.hashSeed(serverSeed) },
+    jokerCard,
+    players: hands.map((cards, seat) => ({ user: new ObjectId(), position: seat, cards })),
+    ...settings
+  });
+};
+
+// A finished four-player hand: cat asked ben for a side show and won it, dan folded, and
+// ann and cat showed down
+const createPlayedHand = () => {
+  const users = ['ann', 'ben', 'cat', 'dan'].map(username => new User({
+    username,
+    email: `${username}@example.com`,
+    password: 'secret123'
+  }));
+  const [ann, ben, cat, dan] = users;
+  const card = (rank) => ({ suit: 'hearts', rank });
+
+  const hand = new Hand({
+    game: new ObjectId(),
+    gameId: 'TP1',
+    handNumber: 7,
+    players: users.map((user, seat) => ({
+      user,
+      position: seat,
+      cards: [card(String(seat + 2)), card('J'), card('Q')],
+      handRank: 'high-card',
+      isFolded: user === ben || user === dan,
+      shown: user === ann || user === cat,
+      stackBefore: 1000,
+      stackAfter: user === cat ? 1060 : 980,
+      totalBet: 20,
+      winnings: user === cat ? 80 : 0
+    })),
+    history: [
+      { action: 'fold', player: dan._id, details: 'dan folded', pot: 40, stacks: [{ player: dan._id, stack: 990, totalBet: 10 }] },
+      { action: 'side_show', player: cat._id, target: ben._id, details: 'Side show: cat wins', pot: 60 },
+      { action: 'showdown', details: 'Pot limit of 80 reached - showdown', pot: 80 }
+    ],
+    pots: [{ name: 'main', amount: 80, winners: [{ user: cat._id, amount: 80 }] }],
+    winners: [cat._id]
+  });
+
+  return { hand, ann, ben, cat, dan };
+};
+
+const visibleTo = (replay) => replay.players.filter(p => !p.cards.some(c => c.hidden)).map(p => p.username);
+
+describe('toReplay', () => {
+  it('shows the viewer their own cards and every hand shown down', () => {
+    const { hand, dan } = createPlayedHand();
+
+    assert.deepEqual(visibleTo(hand.toReplay(dan._id)), ['ann', 'cat', 'dan']);
+  });
+
+  it('shows both side show players each other\'s cards, and nobody else', () => {
+    const { hand, ann, ben } = createPlayedHand();
+    const replay = hand.toReplay(ben._id);
+
+    assert.deepEqual(visibleTo(replay), ['ann', 'ben', 'cat']);
+    assert.deepEqual(visibleTo(hand.toReplay(ann._id)), ['ann', 'cat']);
+    assert.equal(replay.players.find(p => p.username === 'dan').handRank, null);
+  });
+
+  it('shows an admin every hand', () => {
+    const { hand, ann } = createPlayedHand();
+
+    assert.deepEqual(visibleTo(hand.toReplay(ann._id, { revealAll: true })), ['ann', 'ben', 'cat', 'dan']);
+  });
+
+  it('numbers the steps and names players by id', () => {
+    const { hand, ann, ben, cat, dan } = createPlayedHand();
+    const { steps, pots, winners } = hand.toReplay(ann._id);
+
+    assert.deepEqual(steps.map(s => [s.step, s.action, s.playerId, s.targetId]), [
+      [1, 'fold', dan._id.toString(), null],
+      [2, 'side_show', cat._id.toString(), ben._id.toString()],
+      [3, 'showdown', null, null]
+    ]);
+    assert.deepEqual(steps[0].stacks, [{ playerId: dan._id.toString(), stack: 990, totalBet: 10 }]);
+    assert.deepEqual(pots[0].winners, [{ playerId: cat._id.toString(), amount: 80 }]);
+    assert.deepEqual(winners, [cat._id.toString()]);
+  });
+});
+
+describe('verifyShuffle', () => {
+  it('replays the shuffle from the revealed seeds and finds the cards dealt', () => {
+    const result = createDealtHand(3).verifyShuffle();
+
+    assert.equal(result.verified, true);
+    assert.equal(result.hashMatches, true);
+    assert.equal(result.cardsMatch, true);
+    assert.equal(result.clientSeed, 'alice:bob');
+  });
+
+  it('checks the joker drawn at joker tables', () => {
+    const hand = createDealtHand(2, { gameType: 'joker' });
+    assert.equal(hand.verifyShuffle().verified, true);
+
+    hand.jokerCard = { suit: hand.jokerCard.suit, rank: hand.jokerCard.rank === 'A' ? 'K' : 'A' };
+    assert.equal(hand.verifyShuffle().cardsMatch, false);
+  });
+
+  it('fails when a card differs from the shuffle', () => {
+    const hand = createDealtHand(3);
+    hand.players[1].cards[0] = { ...hand.players[0].cards[0].toObject() };
+
+    const result = hand.verifyShuffle();
+    assert.equal(result.verified, false);
+    assert.equal(result.cardsMatch, false);
+    assert.equal(result.hashMatches, true);
+  });
+
+  it('fails when the revealed seed is not the one committed to', () => {
+    const hand = createDealtHand(3);
+    hand.fairness.serverSeedHash = provablyFair.hashSeed('another-seed');
+
+    assert.deepEqual([hand.verifyShuffle().verified, hand.verifyShuffle().hashMatches], [false, false]);
+  });
+});
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { COMMISSION_EXEMPTIONS } = require('../engine');
+
+// A preset of table settings set up by an admin ("Low stakes classic 10/1000, 5 seats").
+// Players create tables from enabled templates, and the server keeps minOpenTables tables
+// of each with a free seat open in the lobby.
+const tableTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  gameType: {
+    type: String,
+    enum: ['classic', 'joker', 'muflis', 'ak47'],
+    default: 'classic'
+  },
+  maxPlayers: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 6
+  },
+  bootAmount: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  minBet: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  maxBet: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  potLimit: {
+    type: Number,
+    default: null
+  },
+  maxBlindRounds: {
+    type: Number,
+    default: null
+  },
+  isPersistent: {
+    type: Boolean,
+    default: true
+  },
+  maxMissedHands: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  minBuyIn: {
+    type: Number,
+    default: null
+  },
+  maxBuyIn: {
+    type: Number,
+    default: null
+  },
+  // Seconds per turn
+  timeLimit: {
+    type: Number,
+    default: 30,
+    min: 10,
+    max: 120
+  },
+  // Rake on each called pot (null: the platform rate)
+  commissionRate: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 0.25
+  },
+  // Most rake taken from one hand (null: the platform cap)
+  commissionCap: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Hands played without rake (null: the platform exemptions)
+  commissionExemptions: {
+    type: [{
+      type: String,
+      enum: COMMISSION_EXEMPTIONS
+    }],
+    default: null
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  minOpenTables: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 20
+  },
+  // Lobby order, lowest first
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+tableTemplateSchema.index({ isEnabled: 1, sortOrder: 1 });
+
+// Settings for a new table built from this template
+tableTemplateSchema.methods.getGameSettings = function() {
+  return {
+    template: this._id,
+    gameType: this.gameType,
+    maxPlayers: this.maxPlayers,
+    bootAmount: this.bootAmount,
+    minBet: this.minBet,
+    maxBet: this.maxBet,
+    potLimit: this.potLimit,
+    maxBlindRounds: this.maxBlindRounds,
+    isPersistent: this.isPersistent,
+    maxMissedHands: this.maxMissedHands,
+    minBuyIn: this.minBuyIn,
+    maxBuyIn: this.maxBuyIn,
+    timeLimit: this.timeLimit,
+    commissionRate: this.commissionRate,
+    commissionCap: this.commissionCap,
+    commissionExemptions: this.commissionExemptions ? [...this.commissionExemptions] : null
+  };
+};
+
+// Query for this template's tables that someone could sit down at
+tableTemplateSchema.methods.getOpenTablesQuery = function() {
+  return {
+    template: this._id,
+    status: { $in: ['waiting', 'active'] },
+    isPrivate: false,
+    $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] }
+  };
+};
+
+// Open server-run tables for every enabled template that has fewer open tables than its
+// minimum. They deal on their own once two players sit down. Resolves to the new tables.
+tableTemplateSchema.statics.ensureOpenTables = async function() {
+  const Game = mongoose.model('Game');
+  const templates = await this.find({ isEnabled: true, minOpenTables: { $gt: 0 } });
+  const created = [];
+
+  for (const template of templates) {
+    const openTables = await Game.countDocuments(template.getOpenTablesQuery());
+
+    for (let i = openTables; i < template.minOpenTables; i++) {
+      const game = new Game({
+        ...template.getGameSettings(),
+        gameId: Game.generateGameId(),
+        autoStart: true,
+        createdBy: template.createdBy
+      });
+      await game.save();
+      created.push(game);
+    }
+  }
+
+  return created;
+};
+
+module.exports = mongoose.model('TableTemplate', tableTemplateSchema);
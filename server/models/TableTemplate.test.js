@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TableTemplate = require('./TableTemplate');
+const Game = require('./Game');
+
+const createTemplate = (settings = {}) => new TableTemplate({
+  name: 'Low stakes',
+  maxPlayers: 5,
+  bootAmount: 5,
+  minBet: 10,
+  maxBet: 1000,
+  potLimit: 5000,
+  commissionRate: 0.02,
+  commissionExemptions: ['no_bet'],
+  minOpenTables: 3,
+  createdBy: new mongoose.Types.ObjectId(),
+  ...settings
+});
+
+describe('ensureOpenTables', () => {
+  // Templates enabled and open tables counted in place of the database; returns the tables saved
+  const useTemplates = (t, templates, openTables) => {
+    const saved = [];
+
+    t.mock.method(TableTemplate, 'find', async () => templates);
+    t.mock.method(Game, 'countDocuments', async (query) =>
+      openTables[templates.findIndex(template => template._id.equals(query.template))]);
+    t.mock.method(Game.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+
+    return saved;
+  };
+
+  it('opens tables up to each template\'s minimum with the template\'s settings', async (t) => {
+    const template = createTemplate();
+    const saved = useTemplates(t, [template], [1]);
+
+    const created = await TableTemplate.ensureOpenTables();
+
+    assert.equal(created.length, 2);
+    assert.deepEqual(saved, created);
+    created.forEach(game => {
+      assert.ok(game.template.equals(template._id));
+      assert.deepEqual(
+        [game.maxPlayers, game.bootAmount, game.minBet, game.maxBet, game.potLimit, game.commissionRate],
+        [5, 5, 10, 1000, 5000, 0.02]
+      );
+      assert.deepEqual([...game.commissionExemptions], ['no_bet']);
+      assert.equal(game.autoStart, true);
+      assert.ok(game.createdBy.equals(template.createdBy));
+    });
+    assert.notEqual(created[0].gameId, created[1].gameId);
+  });
+
+  it('leaves a template with enough open tables alone', async (t) => {
+    const highStakes = createTemplate({ name: 'High stakes', minOpenTables: 1 });
+    const saved = useTemplates(t, [createTemplate(), highStakes], [3, 0]);
+
+    const created = await TableTemplate.ensureOpenTables();
+
+    assert.equal(created.length, 1);
+    assert.ok(saved[0].template.equals(highStakes._id));
+  });
+});
@@ -0,0 +1,694 @@
+const mongoose = require('mongoose');
+
+// Stakes for the default level schedule, as multiples of the first level's boot
+const DEFAULT_LEVEL_MULTIPLIERS = [1, 2, 3, 5, 8, 12, 20, 30, 50, 80];
+
+// Max bet of a default level, in boots
+const DEFAULT_MAX_BET_BOOTS = 16;
+
+// Longest a tournament timer is set for (setTimeout cannot wait beyond about 24 days);
+// a start further off is checked again when it fires
+const MAX_TIMER_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// Tail of each tournament's queue of updates, by tournament id (see withLock)
+const tournamentLocks = new Map();
+
+// Players at a table, counting those queued to sit down at its next hand
+const countSeated = (table) => table.players.length + table.pendingSeats.length;
+
+// Prize percentages by finishing position when a tournament sets none, by field size
+const getDefaultPrizes = (players) => {
+  if (players <= 3) {
+    return [100];
+  }
+  if (players <= 5) {
+    return [65, 35];
+  }
+  if (players <= 9) {
+    return [50, 30, 20];
+  }
+  if (players <= 18) {
+    return [40, 25, 17, 10, 8];
+  }
+  if (players <= 45) {
+    return [30, 20, 14, 10, 8, 6, 5, 4, 3];
+  }
+  return [25, 15, 10, 8, 7, 6, 5, 4, 3, 3, 2.5, 2.5, 2.5, 2.5, 2, 2];
+};
+
+const tournamentSchema = new mongoose.Schema({
+  tournamentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // A sit-and-go starts when its seats fill; a scheduled tournament starts at a set time
+  // and may spread over several tables
+  format: {
+    type: String,
+    enum: ['sit_and_go', 'scheduled'],
+    default: 'sit_and_go'
+  },
+  gameType: {
+    type: String,
+    enum: ['classic', 'joker', 'muflis', 'ak47'],
+    default: 'classic'
+  },
+  status: {
+    type: String,
+    enum: ['registering', 'running', 'completed', 'cancelled'],
+    default: 'registering'
+  },
+  // Most players the tournament takes; a sit-and-go starts as soon as they are all in
+  seats: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 1000
+  },
+  // Players per table
+  tableSize: {
+    type: Number,
+    default: 6,
+    min: 2,
+    max: 6
+  },
+  // A scheduled tournament with fewer players than this at its start is cancelled
+  minEntries: {
+    type: Number,
+    default: 2,
+    min: 2
+  },
+  // Registration for a scheduled tournament opens at registrationOpensAt (null: straight
+  // away) and stays open for the first lateRegistrationLevels levels after the start
+  registrationOpensAt: {
+    type: Date,
+    default: null
+  },
+  scheduledStart: {
+    type: Date,
+    default: null
+  },
+  lateRegistrationLevels: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Goes into the prize pool; the fee is kept by the platform
+  buyIn: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Tournament chips each player starts with; they are not wallet chips
+  startingStack: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  levelMinutes: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Stakes by level; the last level holds once it is reached
+  levels: [{
+    _id: false,
+    bootAmount: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    maxBet: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Percentage of the prize pool for each finishing position, first place first
+  prizes: [{
+    type: Number,
+    min: 0,
+    max: 100
+  }],
+  entries: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['registered', 'playing', 'eliminated', 'won'],
+      default: 'registered'
+    },
+    finishPosition: {
+      type: Number,
+      default: null
+    },
+    prize: {
+      type: Number,
+      default: 0
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    eliminatedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Every table the tournament has used, including those since broken up
+  tables: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tournamentSchema.index({ tournamentId: 1 });
+tournamentSchema.index({ status: 1, createdAt: -1 });
+tournamentSchema.index({ status: 1, scheduledStart: 1 });
+tournamentSchema.index({ 'entries.user': 1 });
+
+// Generate unique tournament ID
+tournamentSchema.statics.generateTournamentId = function() {
+  return 'ST' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+};
+
+// Default level schedule starting from the given boot
+tournamentSchema.statics.buildLevels = function(bootAmount) {
+  return DEFAULT_LEVEL_MULTIPLIERS.map(multiplier => ({
+    bootAmount: bootAmount * multiplier,
+    maxBet: bootAmount * multiplier * DEFAULT_MAX_BET_BOOTS
+  }));
+};
+
+tournamentSchema.statics.getDefaultPrizes = function(seats) {
+  return getDefaultPrizes(seats);
+};
+
+// Run task(tournament) on a fresh copy of the tournament, one task per tournament at a time.
+// Every table settles its hands on its own, so anything that reads the entries and saves
+// them back goes through here. Resolves to what the task resolves to.
+tournamentSchema.statics.withLock = function(tournamentId, task) {
+  const key = tournamentId.toString();
+  const run = (tournamentLocks.get(key) || Promise.resolve())
+    .then(async () => task(await this.findById(tournamentId)));
+
+  // The next task waits for this one whether it succeeds or not
+  const done = run.catch(() => {});
+  tournamentLocks.set(key, done);
+  done.then(() => {
+    if (tournamentLocks.get(key) === done) {
+      tournamentLocks.delete(key);
+    }
+  });
+
+  return run;
+};
+
+tournamentSchema.methods.getEntry = function(userId) {
+  return this.entries.find(e => e.user._id.toString() === userId.toString());
+};
+
+// Buy-ins held for the prizes (fees are not part of it)
+tournamentSchema.methods.getPrizePool = function() {
+  return this.buyIn * this.entries.length;
+};
+
+// Prize in chips for each finishing position; rounding leftovers go to the winner. Without
+// a set structure, the places paid depend on the field: a sit-and-go's seats, or the
+// players registered for a scheduled tournament.
+tournamentSchema.methods.getPrizes = function() {
+  const pool = this.getPrizePool();
+  const field = this.format === 'sit_and_go' ? this.seats : this.entries.length;
+  const percentages = this.prizes.length > 0 ? this.prizes : getDefaultPrizes(field);
+  const amounts = percentages.map(percentage => Math.floor(pool * percentage / 100));
+  amounts[0] += pool - amounts.reduce((sum, amount) => sum + amount, 0);
+  return amounts;
+};
+
+// Index of the level in play at the given time
+tournamentSchema.methods.getLevelIndex = function(at = new Date()) {
+  if (!this.startedAt) {
+    return 0;
+  }
+  const elapsed = at.getTime() - this.startedAt.getTime();
+  return Math.min(Math.floor(elapsed / (this.levelMinutes * 60000)), this.levels.length - 1);
+};
+
+// When the stakes go up next, or null at the last level
+tournamentSchema.methods.getNextLevelAt = function(at = new Date()) {
+  const index = this.getLevelIndex(at);
+  if (!this.startedAt || index === this.levels.length - 1) {
+    return null;
+  }
+  return new Date(this.startedAt.getTime() + (index + 1) * this.levelMinutes * 60000);
+};
+
+// When the tournament's clock next needs attention: the scheduled start, or the next level.
+// Capped so that a far-off start is simply checked again later.
+tournamentSchema.methods.getNextTimerAt = function(at = new Date()) {
+  let next = null;
+  if (this.status === 'registering' && this.scheduledStart) {
+    next = this.scheduledStart;
+  } else if (this.status === 'running') {
+    next = this.getNextLevelAt(at);
+  }
+
+  if (!next) {
+    return null;
+  }
+  return new Date(Math.min(next.getTime(), at.getTime() + MAX_TIMER_DELAY_MS));
+};
+
+// Whether players may register now, including late registration once it has started.
+// Late registration also closes once a prize has been paid, since the prizes grow with the field.
+tournamentSchema.methods.isRegistrationOpen = function(at = new Date()) {
+  if (this.status === 'registering') {
+    return !this.registrationOpensAt || at >= this.registrationOpensAt;
+  }
+
+  return this.status === 'running' && this.format === 'scheduled' &&
+    this.getLevelIndex(at) < this.lateRegistrationLevels &&
+    !this.entries.some(e => e.prize > 0);
+};
+
+// Set the table's stakes for the level in play (the caller saves the game)
+tournamentSchema.methods.applyLevel = function(game) {
+  const level = this.levels[this.getLevelIndex()];
+  game.bootAmount = level.bootAmount;
+  game.minBet = level.bootAmount;
+  game.maxBet = level.maxBet;
+  return level;
+};
+
+// Take a player's buy-in and fee from their wallet and hold their seat. A late registrant
+// is seated straight away; resolves to their table, or null before the start. Run it
+// through Tournament.withLock.
+tournamentSchema.methods.register = async function(userId) {
+  const Transaction = mongoose.model('Transaction');
+  const User = mongoose.model('User');
+
+  if (!this.isRegistrationOpen()) {
+    throw new Error(this.status === 'registering' ? 'Registration is not open yet' : 'Registration is closed');
+  }
+
+  if (this.getEntry(userId)) {
+    throw new Error('Already registered');
+  }
+
+  if (this.entries.length >= this.seats) {
+    throw new Error('Tournament is full');
+  }
+
+  await Transaction.createTournamentBuyInTransaction(userId, this);
+  this.entries.push({ user: userId, status: this.status === 'running' ? 'playing' : 'registered' });
+
+  if (this.status !== 'running') {
+    await this.save();
+    return null;
+  }
+
+  // Players already knocked out finish below everyone still in, late registrants included
+  const shifted = this.entries.filter(e => e.finishPosition !== null);
+  shifted.forEach(entry => {
+    entry.finishPosition += 1;
+  });
+
+  // A late registrant who cannot be seated gets the buy-in back
+  let table;
+  try {
+    table = await this.seatLatePlayer(userId);
+  } catch (error) {
+    this.entries = this.entries.filter(entry => entry.user.toString() !== userId.toString());
+    shifted.forEach(entry => {
+      entry.finishPosition -= 1;
+    });
+    await Transaction.createTournamentRefundTransaction(userId, this);
+    throw error;
+  }
+  await this.save();
+  await User.findByIdAndUpdate(userId, { currentGameId: table._id });
+
+  return table;
+};
+
+// Seat a late registrant at the shortest table, from its next hand, or at a new one when
+// every table is full. A new table deals once balancing has brought it a second player.
+tournamentSchema.methods.seatLatePlayer = async function(userId) {
+  const Game = mongoose.model('Game');
+  const tables = await this.getOpenTables();
+  const shortest = tables.sort((a, b) => countSeated(a) - countSeated(b))[0];
+
+  if (shortest && countSeated(shortest) < shortest.maxPlayers) {
+    return Game.queueSeat(shortest._id, userId, this.startingStack);
+  }
+
+  const table = this.createTable();
+  await table.addPlayer(userId, null, this.startingStack);
+  return table;
+};
+
+// Tables of the tournament still in play
+tournamentSchema.methods.getOpenTables = async function() {
+  const Game = mongoose.model('Game');
+  return Game.find({ _id: { $in: this.tables }, status: { $in: ['waiting', 'active'] } });
+};
+
+// A new table at the stakes in play (not saved)
+tournamentSchema.methods.createTable = function() {
+  const Game = mongoose.model('Game');
+  const level = this.levels[this.getLevelIndex()];
+
+  const table = new Game({
+    gameId: Game.generateGameId(),
+    gameType: this.gameType,
+    maxPlayers: this.tableSize,
+    minBet: level.bootAmount,
+    maxBet: level.maxBet,
+    bootAmount: level.bootAmount,
+    isPersistent: true,
+    maxMissedHands: null,
+    tournament: this._id,
+    createdBy: this.createdBy
+  });
+  this.tables.push(table._id);
+
+  return table;
+};
+
+// Give a registered player their buy-in and fee back before the tournament starts. Run it
+// through Tournament.withLock.
+tournamentSchema.methods.unregister = async function(userId) {
+  const Transaction = mongoose.model('Transaction');
+
+  if (this.status !== 'registering') {
+    throw new Error('Registration is closed');
+  }
+
+  const entry = this.getEntry(userId);
+  if (!entry) {
+    throw new Error('Not registered');
+  }
+
+  await Transaction.createTournamentRefundTransaction(userId, this);
+  this.entries.pull(entry._id);
+
+  return this.save();
+};
+
+// Call off a tournament that has not started; everyone registered is refunded
+tournamentSchema.methods.cancel = async function() {
+  const Transaction = mongoose.model('Transaction');
+
+  if (this.status !== 'registering') {
+    throw new Error('Only a tournament that has not started can be cancelled');
+  }
+
+  for (const entry of this.entries) {
+    await Transaction.createTournamentRefundTransaction(entry.user, this);
+  }
+
+  this.status = 'cancelled';
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Seat everyone in random order over as few tables as will hold them, as evenly as possible,
+// with the starting stack, and deal the first hand at each. The fees go to the platform;
+// the buy-ins stay in the prize pool. Resolves to [{ game, events }], one per table, or to
+// [] when it cannot start yet. Run it through Tournament.withLock.
+tournamentSchema.methods.start = async function() {
+  const User = mongoose.model('User');
+  const Transaction = mongoose.model('Transaction');
+
+  // Registrants who have since sat down at a cash table cannot be dealt in: their entry is
+  // dropped and the buy-in refunded. A sit-and-go then waits to fill again, and a scheduled
+  // tournament left short of its minimum is called off.
+  const busy = await User.find({
+    _id: { $in: this.entries.map(e => e.user) },
+    currentGameId: { $ne: null }
+  }).select('_id');
+
+  if (busy.length > 0) {
+    for (const user of busy) {
+      await Transaction.createTournamentRefundTransaction(user._id, this);
+      this.entries.pull(this.getEntry(user._id)._id);
+    }
+
+    if (this.format === 'sit_and_go') {
+      await this.save();
+      return [];
+    }
+    if (this.entries.length < this.minEntries) {
+      await this.cancel();
+      return [];
+    }
+  }
+
+  const tables = Array.from({ length: Math.ceil(this.entries.length / this.tableSize) }, () => this.createTable());
+  const entries = [...this.entries];
+  for (let i = entries.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [entries[i], entries[j]] = [entries[j], entries[i]];
+  }
+
+  // addPlayer saves the table, so players are seated one at a time
+  for (const [index, entry] of entries.entries()) {
+    await tables[index % tables.length].addPlayer(entry.user, null, this.startingStack);
+    entry.status = 'playing';
+  }
+
+  this.status = 'running';
+  this.startedAt = new Date();
+  await this.save();
+
+  if (this.fee > 0) {
+    await Transaction.createTournamentFeeTransaction(this.fee * this.entries.length, this);
+  }
+
+  // Anyone who sat down at a cash table since the check above stays pointed at it
+  for (const table of tables) {
+    await User.updateMany(
+      { _id: { $in: table.players.map(p => p.user) }, currentGameId: null },
+      { currentGameId: table._id }
+    );
+  }
+
+  const started = [];
+  for (const table of tables) {
+    started.push({ game: table, events: await table.startGame() });
+  }
+  return started;
+};
+
+// After each hand: knock out players left without chips and pay anyone finishing in the
+// prizes. The last player left wins. Knocked-out players and the winner are marked to
+// leave the table, which the caller does once the hand is settled. Tables finish hands at
+// the same time, so run it through Tournament.withLock.
+tournamentSchema.methods.recordHand = async function(game) {
+  const Transaction = mongoose.model('Transaction');
+  const prizes = this.getPrizes();
+  const now = new Date();
+
+  // A player finishes at the number of entries still in, themselves included
+  const countStillIn = () => this.entries.filter(e => e.finishPosition === null).length;
+
+  const finish = async (player, status) => {
+    const entry = this.getEntry(player.user._id);
+    const finishPosition = countStillIn();
+    entry.status = status;
+    entry.finishPosition = finishPosition;
+    entry.eliminatedAt = status === 'eliminated' ? now : null;
+    entry.prize = prizes[finishPosition - 1] || 0;
+
+    if (entry.prize > 0) {
+      await Transaction.createTournamentPrizeTransaction(entry.user, entry.prize, this, finishPosition);
+    }
+
+    player.leaveAfterHand = true;
+    return {
+      playerId: player.user._id,
+      username: player.user.username,
+      finishPosition,
+      prize: entry.prize
+    };
+  };
+
+  // Of players knocked out in the same hand, whoever started it with more chips finishes higher
+  const knockedOut = game.players
+    .filter(p => p.stack === 0 && this.getEntry(p.user._id).finishPosition === null)
+    .sort((a, b) => a.totalBet - b.totalBet);
+  const eliminated = [];
+
+  for (const player of knockedOut) {
+    eliminated.push(await finish(player, 'eliminated'));
+  }
+
+  // The last player left in the whole tournament won the final hand, at this table
+  let winner = null;
+  const playersLeft = countStillIn();
+  const survivor = game.players.find(p => p.stack > 0);
+  if (playersLeft === 1 && survivor) {
+    winner = await finish(survivor, 'won');
+    this.status = 'completed';
+    this.completedAt = now;
+  }
+
+  await this.save();
+
+  return {
+    tournamentId: this.tournamentId,
+    eliminated,
+    winner,
+    playersLeft
+  };
+};
+
+// Between hands at one table: break it up when the players left fit at the other tables,
+// otherwise move players from it to the shortest table until no table has two more players
+// than another. A moved player keeps their stack and is seated at the next hand of their
+// new table (see Game.queueSeat). Run it through Tournament.withLock. Resolves to
+// { moves, tables } with the tables players were moved to.
+tournamentSchema.methods.balanceTables = async function(game) {
+  const Game = mongoose.model('Game');
+  const User = mongoose.model('User');
+
+  const others = (await this.getOpenTables()).filter(table => !table._id.equals(game._id));
+  if (this.status !== 'running' || others.length === 0 || game.players.length === 0) {
+    return { moves: [], tables: [] };
+  }
+
+  const moves = [];
+  const touched = new Map();
+  const shortest = () => others.reduce((min, table) => countSeated(table) < countSeated(min) ? table : min);
+
+  // The player first to act in the next hand, so the button does not skip anyone. Their
+  // seat is queued at the target before they give up the one here.
+  const move = async (target) => {
+    const player = game.players[(game.dealerIndex + 1) % game.players.length];
+    const userId = player.user._id;
+    const stack = player.stack;
+
+    const updated = await Game.queueSeat(target._id, userId, stack);
+    others[others.indexOf(target)] = updated;
+    touched.set(updated.gameId, updated);
+
+    player.stack = 0;
+    await game.removePlayer(userId);
+
+    await User.findByIdAndUpdate(userId, { currentGameId: target._id });
+    moves.push({
+      playerId: userId.toString(),
+      username: player.user.username,
+      fromGameId: game.gameId,
+      toGameId: target.gameId,
+      stack
+    });
+  };
+
+  const freeSeats = others.reduce((sum, table) => sum + table.maxPlayers - countSeated(table), 0);
+  if (game.players.length <= freeSeats) {
+    while (game.players.length > 0) {
+      await move(shortest());
+    }
+  } else {
+    while (game.players.length - countSeated(shortest()) >= 2) {
+      await move(shortest());
+    }
+  }
+
+  return { moves, tables: [...touched.values()] };
+};
+
+// What a tournament_update carries: the clock, the prizes, the standings and the tables
+// in play. Entries must be populated with their user.
+tournamentSchema.methods.getUpdate = function(tables = []) {
+  const openTables = tables.filter(table => ['waiting', 'active'].includes(table.status));
+
+  return {
+    tournamentId: this.tournamentId,
+    status: this.status,
+    level: this.status === 'running' ? this.getLevelIndex() + 1 : null,
+    stakes: this.status === 'running' ? this.levels[this.getLevelIndex()] : null,
+    nextLevelAt: this.status === 'running' ? this.getNextLevelAt() : null,
+    playersLeft: this.entries.filter(e => e.status === 'playing').length,
+    prizePool: this.getPrizePool(),
+    prizes: this.getPrizes(),
+    standings: this.getStandings(openTables),
+    tables: openTables.map(table => ({
+      gameId: table.gameId,
+      status: table.status,
+      players: countSeated(table)
+    }))
+  };
+};
+
+// Players still in by chip count, then everyone out by finishing position. Entries must be
+// populated with their user; the tables in play give the current stacks and seats, queued
+// seats included.
+tournamentSchema.methods.getStandings = function(tables = []) {
+  const seatOf = (entry) => {
+    const isEntry = (user) => user._id.toString() === entry.user._id.toString();
+    for (const table of tables) {
+      const player = table.players.find(p => isEntry(p.user)) || table.pendingSeats.find(s => isEntry(s.user));
+      if (player) {
+        return { table, player };
+      }
+    }
+    return null;
+  };
+
+  return this.entries
+    .map(entry => ({ entry, seat: entry.status === 'playing' ? seatOf(entry) : null }))
+    .map(({ entry, seat }) => ({
+      userId: entry.user._id,
+      username: entry.user.username,
+      avatar: entry.user.avatar,
+      status: entry.status,
+      stack: seat ? seat.player.stack : 0,
+      gameId: seat ? seat.table.gameId : null,
+      finishPosition: entry.finishPosition,
+      prize: entry.prize,
+      eliminatedAt: entry.eliminatedAt
+    }))
+    .sort((a, b) => {
+      if (a.finishPosition === null && b.finishPosition === null) {
+        return b.stack - a.stack;
+      }
+      if (a.finishPosition === null || b.finishPosition === null) {
+        return a.finishPosition === null ? -1 : 1;
+      }
+      return a.finishPosition - b.finishPosition;
+    });
+};
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
@@ -0,0 +1,444 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('./User');
+const Transaction = require('./Transaction');
+const Tournament = require('./Tournament');
+const Game = require('./Game');
+
+const { ObjectId } = mongoose.Types;
+
+// A running scheduled tournament of 100-chip buy-ins, one entry per given finish position
+// (null: still playing)
+const createTournament = (finishPositions, settings = {}) => new Tournament({
+  tournamentId: 'ST1',
+  name: 'Test',
+  format: 'scheduled',
+  status: 'running',
+  seats: 100,
+  buyIn: 100,
+  startingStack: 1000,
+  levels: Tournament.buildLevels(10),
+  prizes: [50, 30, 20],
+  lateRegistrationLevels: 2,
+  startedAt: new Date(),
+  createdBy: new ObjectId(),
+  entries: finishPositions.map(finishPosition => ({
+    user: new ObjectId(),
+    status: finishPosition === null ? 'playing' : 'eliminated',
+    finishPosition
+  })),
+  ...settings
+});
+
+// Keep the tournament in memory in place of the database. Saving takes a moment, as a
+// round trip would, so that updates which overlap would overwrite each other.
+const useStore = (t, tournament) => {
+  let stored = tournament.toObject();
+
+  t.mock.method(Tournament, 'findById', async () => Tournament.hydrate(stored));
+  t.mock.method(Tournament.prototype, 'save', async function() {
+    await new Promise(resolve => setImmediate(resolve));
+    stored = this.toObject();
+    return this;
+  });
+
+  return () => Tournament.hydrate(stored);
+};
+
+// Prize payments made, as [userId, amount, finishPosition]
+const usePrizes = (t) => {
+  const paid = [];
+  t.mock.method(Transaction, 'createTournamentPrizeTransaction', async (userId, amount, tournament, finishPosition) => {
+    paid.push([userId.toString(), amount, finishPosition]);
+  });
+  return paid;
+};
+
+// A table at the end of a hand: [entry, stack, totalBet] for each player
+const createTable = (tournament, seats) => ({
+  players: seats.map(([entry, stack, totalBet = 0]) => ({
+    user: { _id: tournament.entries[entry].user, username: `player${entry}` },
+    stack,
+    totalBet
+  }))
+});
+
+const finishPositions = (tournament) => tournament.entries.map(e => e.finishPosition);
+
+describe('recordHand', () => {
+  it('gives players knocked out at two tables at the same time different positions', async (t) => {
+    const tournament = createTournament([null, null, null, null]);
+    const load = useStore(t, tournament);
+    const paid = usePrizes(t);
+
+    const results = await Promise.all([
+      createTable(tournament, [[0, 0], [1, 2000]]),
+      createTable(tournament, [[2, 0], [3, 2000]])
+    ].map(table => Tournament.withLock(tournament._id, current => current.recordHand(table))));
+
+    assert.deepEqual(results.map(r => r.eliminated[0].finishPosition), [4, 3]);
+    assert.deepEqual(results.map(r => r.playersLeft), [3, 2]);
+    assert.deepEqual(finishPositions(load()), [4, null, 3, null]);
+
+    // Third place is paid once: 20% of the 400 pool
+    assert.deepEqual(paid, [[tournament.entries[2].user.toString(), 80, 3]]);
+  });
+
+  it('ranks players knocked out in the same hand by the chips they started it with', async (t) => {
+    const tournament = createTournament([null, null, null, null, null]);
+    useStore(t, tournament);
+    usePrizes(t);
+
+    const result = await Tournament.withLock(tournament._id, current =>
+      current.recordHand(createTable(tournament, [[0, 0, 300], [1, 0, 100], [2, 1400]])));
+
+    assert.deepEqual(result.eliminated.map(e => [e.username, e.finishPosition]), [['player1', 5], ['player0', 4]]);
+  });
+
+  it('counts a late registrant who is still being seated among the players still in', async (t) => {
+    const tournament = createTournament([null, null, null, 4], { prizes: [100] });
+    const load = useStore(t, tournament);
+    usePrizes(t);
+    const newcomer = new ObjectId();
+
+    t.mock.method(Transaction, 'createTournamentBuyInTransaction', async () => {});
+    t.mock.method(User, 'findByIdAndUpdate', async () => {});
+    t.mock.method(Tournament.prototype, 'seatLatePlayer', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return { _id: new ObjectId() };
+    });
+
+    const [, result] = await Promise.all([
+      Tournament.withLock(tournament._id, current => current.register(newcomer)),
+      Tournament.withLock(tournament._id, current => current.recordHand(createTable(tournament, [[0, 0], [1, 2000]])))
+    ]);
+
+    // The player already out drops below the newcomer; the next one out takes fourth
+    assert.equal(result.eliminated[0].finishPosition, 4);
+    assert.equal(result.playersLeft, 3);
+    assert.deepEqual(finishPositions(load()), [4, null, null, 5, null]);
+  });
+
+  it('crowns the last player left and pays the places', async (t) => {
+    const tournament = createTournament([null, null, 3, 4]);
+    const load = useStore(t, tournament);
+    const paid = usePrizes(t);
+
+    const result = await Tournament.withLock(tournament._id, current =>
+      current.recordHand(createTable(tournament, [[0, 0], [1, 4000]])));
+
+    assert.equal(result.eliminated[0].finishPosition, 2);
+    assert.equal(result.winner.finishPosition, 1);
+    assert.equal(result.playersLeft, 1);
+    assert.equal(load().status, 'completed');
+    assert.deepEqual(paid.map(([, amount, position]) => [amount, position]), [[120, 2], [200, 1]]);
+  });
+
+  it('leaves out a player it has already knocked out', async (t) => {
+    const tournament = createTournament([null, null, 3]);
+    useStore(t, tournament);
+    usePrizes(t);
+
+    const result = await Tournament.withLock(tournament._id, current =>
+      current.recordHand(createTable(tournament, [[0, 0], [1, 2000], [2, 0]])));
+
+    assert.deepEqual(result.eliminated.map(e => e.username), ['player0']);
+    assert.equal(result.winner.username, 'player1');
+  });
+});
+
+describe('levels', () => {
+  it('steps up the stakes every levelMinutes and holds at the last level', () => {
+    const tournament = createTournament([null, null]);
+    const levelMs = tournament.levelMinutes * 60000;
+    const after = (ms) => new Date(tournament.startedAt.getTime() + ms);
+
+    assert.equal(tournament.getLevelIndex(after(levelMs - 1)), 0);
+    assert.equal(tournament.getLevelIndex(after(3 * levelMs)), 3);
+    assert.equal(tournament.getNextLevelAt(after(3 * levelMs)).getTime(), after(4 * levelMs).getTime());
+    assert.equal(tournament.getLevelIndex(after(100 * levelMs)), 9);
+    assert.equal(tournament.getNextLevelAt(after(100 * levelMs)), null);
+  });
+
+  it('sets a table to the stakes in play', () => {
+    const tournament = createTournament([null, null], { startedAt: new Date(Date.now() - 2 * 5 * 60000) });
+    const game = new Game({ minBet: 10, maxBet: 160, bootAmount: 10 });
+
+    tournament.applyLevel(game);
+
+    assert.deepEqual([game.bootAmount, game.minBet, game.maxBet], [30, 30, 480]);
+  });
+});
+
+describe('prizes', () => {
+  it('pays the set percentages of the buy-ins and gives the rounding to the winner', () => {
+    const tournament = createTournament([null, null, null], { buyIn: 33 });
+
+    assert.deepEqual(tournament.getPrizes(), [51, 29, 19]);
+  });
+
+  it('pays places by the seats of a sit-and-go and by the field of a scheduled tournament', () => {
+    const sitAndGo = createTournament([null, null], { format: 'sit_and_go', seats: 6, prizes: [] });
+    const scheduled = createTournament([null, null, null, null], { prizes: [] });
+
+    assert.deepEqual(sitAndGo.getPrizes(), [100, 60, 40]);
+    assert.deepEqual(scheduled.getPrizes(), [260, 140]);
+  });
+});
+
+describe('clock', () => {
+  it('wakes up for the scheduled start, checking again daily when it is far off', () => {
+    const now = new Date('2026-05-01T12:00:00Z');
+    const soon = createTournament([], { status: 'registering', startedAt: null, scheduledStart: new Date('2026-05-01T12:30:00Z') });
+    const later = createTournament([], { status: 'registering', startedAt: null, scheduledStart: new Date('2026-06-01T12:00:00Z') });
+
+    assert.equal(soon.getNextTimerAt(now).getTime(), soon.scheduledStart.getTime());
+    assert.equal(later.getNextTimerAt(now).getTime(), now.getTime() + 24 * 60 * 60 * 1000);
+  });
+
+  it('wakes up for each level once running, and not at all once finished', () => {
+    const tournament = createTournament([null, null]);
+    const levelMs = tournament.levelMinutes * 60000;
+
+    assert.equal(tournament.getNextTimerAt().getTime(), tournament.startedAt.getTime() + levelMs);
+
+    tournament.status = 'completed';
+    assert.equal(tournament.getNextTimerAt(), null);
+  });
+});
+
+describe('registering', () => {
+  it('opens at registrationOpensAt', () => {
+    const opensAt = new Date(Date.now() + 60000);
+    const tournament = createTournament([], { status: 'registering', startedAt: null, registrationOpensAt: opensAt });
+
+    assert.equal(tournament.isRegistrationOpen(), false);
+    assert.equal(tournament.isRegistrationOpen(opensAt), true);
+  });
+
+  it('turns down a second entry, a full field and a closed registration before taking the buy-in', async (t) => {
+    const tournament = createTournament([null], { status: 'registering', startedAt: null, seats: 2 });
+    const buyIns = t.mock.method(Transaction, 'createTournamentBuyInTransaction', async () => {});
+    t.mock.method(Tournament.prototype, 'save', async function() {
+      return this;
+    });
+
+    await assert.rejects(tournament.register(tournament.entries[0].user), /Already registered/);
+    assert.equal(await tournament.register(new ObjectId()), null);
+    await assert.rejects(tournament.register(new ObjectId()), /Tournament is full/);
+
+    tournament.status = 'cancelled';
+    await assert.rejects(tournament.register(new ObjectId()), /Registration is closed/);
+    assert.equal(buyIns.mock.callCount(), 1);
+  });
+});
+
+describe('late registration', () => {
+  it('stays open for the set levels until a prize has been paid', () => {
+    const tournament = createTournament([null, null, 3]);
+    const levelMs = tournament.levelMinutes * 60000;
+
+    assert.equal(tournament.isRegistrationOpen(), true);
+    assert.equal(tournament.isRegistrationOpen(new Date(tournament.startedAt.getTime() + 2 * levelMs)), false);
+
+    tournament.entries[2].prize = 60;
+    assert.equal(tournament.isRegistrationOpen(), false);
+  });
+});
+
+describe('start', () => {
+  // A tournament waiting to start with the given number of registrants
+  const createRegistering = (entries, settings = {}) => createTournament(Array(entries).fill(null), {
+    status: 'registering',
+    startedAt: null,
+    fee: 10,
+    tableSize: 6,
+    ...settings
+  });
+
+  // Registrants sitting at a cash table, refunds and fees paid, and tables dealt in place of
+  // the database
+  const useStart = (t, busy = []) => {
+    const refunded = [];
+    const fees = [];
+
+    t.mock.method(User, 'find', () => ({ select: async () => busy.map(_id => ({ _id })) }));
+    t.mock.method(User, 'updateMany', async () => {});
+    t.mock.method(Transaction, 'createTournamentRefundTransaction', async (userId) => {
+      refunded.push(userId.toString());
+    });
+    t.mock.method(Transaction, 'createTournamentFeeTransaction', async (amount) => {
+      fees.push(amount);
+    });
+    t.mock.method(Tournament.prototype, 'save', async function() {
+      return this;
+    });
+    t.mock.method(Game.prototype, 'save', async function() {
+      return this;
+    });
+    t.mock.method(Game.prototype, 'startGame', async () => []);
+
+    return { refunded, fees };
+  };
+
+  it('seats everyone over as few tables as hold them, as evenly as possible', async (t) => {
+    const tournament = createRegistering(7);
+    const { refunded, fees } = useStart(t);
+
+    const started = await tournament.start();
+
+    assert.deepEqual(started.map(({ game }) => game.players.length), [4, 3]);
+    assert.equal(tournament.status, 'running');
+    assert.ok(tournament.entries.every(e => e.status === 'playing'));
+    assert.deepEqual(fees, [70]);
+    assert.equal(refunded.length, 0);
+  });
+
+  it('refunds a registrant sitting at a cash table and starts without them', async (t) => {
+    const tournament = createRegistering(3);
+    const busy = tournament.entries[1].user;
+    const { refunded, fees } = useStart(t, [busy]);
+
+    const started = await tournament.start();
+    const seated = started[0].game.players.map(p => p.user.toString());
+
+    assert.deepEqual(refunded, [busy.toString()]);
+    assert.equal(tournament.entries.length, 2);
+    assert.ok(!seated.includes(busy.toString()));
+    assert.equal(seated.length, 2);
+    assert.deepEqual(fees, [20]);
+  });
+
+  it('leaves a sit-and-go to fill again', async (t) => {
+    const tournament = createRegistering(3, { format: 'sit_and_go', seats: 3 });
+    const { refunded } = useStart(t, [tournament.entries[0].user]);
+
+    const started = await tournament.start();
+
+    assert.deepEqual(started, []);
+    assert.equal(refunded.length, 1);
+    assert.equal(tournament.status, 'registering');
+    assert.equal(tournament.entries.length, 2);
+  });
+
+  it('calls off a scheduled tournament left short of its minimum', async (t) => {
+    const tournament = createRegistering(3, { minEntries: 3 });
+    const { refunded, fees } = useStart(t, [tournament.entries[2].user]);
+
+    const started = await tournament.start();
+
+    assert.deepEqual(started, []);
+    assert.equal(tournament.status, 'cancelled');
+    assert.equal(refunded.length, 3);
+    assert.equal(fees.length, 0);
+  });
+});
+
+describe('moving players between tables', () => {
+  // A tournament table with a 1000-chip stack per seated player, the first player the dealer
+  const createGame = (tournament, players, settings = {}) => new Game({
+    gameId: `TP${new ObjectId()}`,
+    maxPlayers: 6,
+    minBet: 10,
+    maxBet: 160,
+    bootAmount: 10,
+    isPersistent: true,
+    tournament: tournament._id,
+    createdBy: tournament.createdBy,
+    players: Array.from({ length: players }, (value, seat) => ({ user: new ObjectId(), position: seat, stack: 1000 + seat })),
+    ...settings
+  });
+
+  // Tables the tournament has open, seats queued through Game.queueSeat and tables saved
+  const useTables = (t, tables) => {
+    const queued = [];
+    const saved = [];
+
+    t.mock.method(Tournament.prototype, 'getOpenTables', async () => tables);
+    t.mock.method(User, 'findByIdAndUpdate', async () => {});
+    t.mock.method(Game.prototype, 'save', async function() {
+      saved.push(this.gameId);
+      return this;
+    });
+    t.mock.method(Game, 'queueSeat', async (gameId, userId, stack) => {
+      const table = tables.find(g => g._id.equals(gameId));
+      queued.push({ gameId: table.gameId, userId: userId.toString(), stack });
+      return Game.hydrate({ ...table.toObject(), pendingSeats: [...table.pendingSeats, { user: userId, stack }] });
+    });
+
+    return { queued, saved };
+  };
+
+  it('queues a player at the shortest table rather than seating them mid-hand', async (t) => {
+    const tournament = createTournament([null, null, null, null, null, null, null]);
+    const game = createGame(tournament, 5);
+    const target = createGame(tournament, 2, { status: 'active' });
+    const { queued, saved } = useTables(t, [game, target]);
+    const moving = game.players[1];
+
+    const { moves, tables } = await tournament.balanceTables(game);
+
+    assert.deepEqual(queued, [{ gameId: target.gameId, userId: moving.user.toString(), stack: 1001 }]);
+    assert.equal(moves.length, 1);
+    assert.equal(game.players.length, 4);
+    assert.equal(target.players.length, 2);
+    assert.deepEqual(tables.map(table => table.pendingSeats.length), [1]);
+    assert.ok(!saved.includes(target.gameId));
+  });
+
+  it('counts the seats already queued at a table', async (t) => {
+    const tournament = createTournament([null, null, null, null, null, null, null, null]);
+    const game = createGame(tournament, 4);
+    const target = createGame(tournament, 2, {
+      pendingSeats: [{ user: new ObjectId(), stack: 500 }, { user: new ObjectId(), stack: 500 }]
+    });
+    const { queued } = useTables(t, [game, target]);
+
+    const { moves } = await tournament.balanceTables(game);
+
+    assert.equal(moves.length, 0);
+    assert.equal(queued.length, 0);
+  });
+
+  it('breaks up a table whose players fit at the others', async (t) => {
+    const tournament = createTournament([null, null, null, null, null]);
+    const game = createGame(tournament, 2);
+    const target = createGame(tournament, 3);
+    const { queued } = useTables(t, [game, target]);
+
+    const { moves } = await tournament.balanceTables(game);
+
+    assert.equal(moves.length, 2);
+    assert.deepEqual(queued.map(seat => seat.stack).sort(), [1000, 1001]);
+    assert.equal(game.players.length, 0);
+    assert.equal(game.status, 'completed');
+  });
+
+  it('queues a late registrant at the shortest table with room', async (t) => {
+    const tournament = createTournament([null, null, null, null, null]);
+    const full = createGame(tournament, 6);
+    const shortest = createGame(tournament, 2, { status: 'active' });
+    const { queued } = useTables(t, [full, shortest]);
+    const newcomer = new ObjectId();
+
+    const table = await tournament.seatLatePlayer(newcomer);
+
+    assert.equal(table.gameId, shortest.gameId);
+    assert.deepEqual(queued, [{ gameId: shortest.gameId, userId: newcomer.toString(), stack: 1000 }]);
+  });
+
+  it('opens a new table for a late registrant when every table is full', async (t) => {
+    const tournament = createTournament([null, null, null, null, null, null]);
+    const full = createGame(tournament, 6);
+    const { queued, saved } = useTables(t, [full]);
+    const newcomer = new ObjectId();
+
+    const table = await tournament.seatLatePlayer(newcomer);
+
+    assert.equal(queued.length, 0);
+    assert.deepEqual(saved, [table.gameId]);
+    assert.equal(table.players[0].user.toString(), newcomer.toString());
+    assert.ok(tournament.tables.some(id => id.equals(table._id)));
+  });
+});
@@ -16,20 +16,36 @@ const transactionSchema = new mongoose.Schema({
       'admin_add',
       'admin_deduct',
       'commission_deduct',
+      'boot',
       'registration_bonus',
-      'refund'
+      'refund',
+      'buy_in',
+      'cash_out',
+      'tournament_buy_in',
+      'tournament_prize',
+      'tournament_fee'
     ],
     required: true
   },
+  // Wallet transactions move User.chips; table transactions move a player's stack at a
+  // table and are records only (the stack lives on the game)
+  account: {
+    type: String,
+    enum: ['wallet', 'table'],
+    default: 'wallet'
+  },
   from: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
   },
+  // Platform records (commission and tournament fees) have no recipient
   to: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !['commission_deduct', 'tournament_fee'].includes(this.type);
+    }
   },
   amount: {
     type: Number,
@@ -55,6 +71,11 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Game',
     default: null
   },
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    default: null
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed', 'cancelled'],
@@ -102,6 +123,7 @@ transactionSchema.index({ to: 1, createdAt: -1 });
 transactionSchema.index({ from: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, createdAt: -1 });
 transactionSchema.index({ gameId: 1 });
+transactionSchema.index({ tournament: 1 });
 transactionSchema.index({ status: 1 });
 
 // Generate unique transaction ID
@@ -118,6 +140,7 @@ transactionSchema.statics.createTransaction = async function(data) {
     amount,
     description,
     gameId = null,
+    tournament = null,
     adminId = null,
     reason = '',
     ipAddress = '',
@@ -136,9 +159,9 @@ transactionSchema.statics.createTransaction = async function(data) {
   
   // Calculate new balance based on transaction type
   let balanceAfter = balanceBefore;
-  if (['game_win', 'transfer_receive', 'admin_add', 'registration_bonus', 'refund'].includes(type)) {
+  if (['game_win', 'transfer_receive', 'admin_add', 'registration_bonus', 'refund', 'cash_out', 'tournament_prize'].includes(type)) {
     balanceAfter = balanceBefore + amount;
-  } else if (['game_loss', 'transfer_send', 'admin_deduct', 'commission_deduct'].includes(type)) {
+  } else if (['game_loss', 'transfer_send', 'admin_deduct', 'commission_deduct', 'boot', 'buy_in', 'tournament_buy_in'].includes(type)) {
     balanceAfter = balanceBefore - amount;
     if (balanceAfter < 0) {
       throw new Error('Insufficient balance');
@@ -156,6 +179,7 @@ transactionSchema.statics.createTransaction = async function(data) {
     balanceAfter,
     description,
     gameId,
+    tournament,
     metadata: {
       adminId,
       reason,
@@ -174,14 +198,39 @@ transactionSchema.statics.createTransaction = async function(data) {
   return transaction;
 };
 
-// Create game win transaction
-transactionSchema.statics.createGameWinTransaction = async function(userId, amount, gameId, originalAmount, commissionRate) {
-  return this.createTransaction({
-    type: 'game_win',
+// Record a change to a player's table stack. The engine has already moved the chips on
+// the game, so only the record is written; balances are the stack's.
+transactionSchema.statics.createTableTransaction = async function(data) {
+  const { type, userId, amount, gameId, stackAfter, description, metadata = {} } = data;
+  const isCredit = ['game_win', 'refund'].includes(type);
+
+  const transaction = new this({
+    transactionId: this.generateTransactionId(),
+    type,
+    account: 'table',
     to: userId,
     amount,
-    description: `Won ${amount} chips in game ${gameId}`,
+    balanceBefore: isCredit ? stackAfter - amount : stackAfter + amount,
+    balanceAfter: stackAfter,
+    description,
+    gameId,
+    metadata,
+    status: 'completed'
+  });
+
+  await transaction.save();
+  return transaction;
+};
+
+// Create game win transaction (paid into the table stack)
+transactionSchema.statics.createGameWinTransaction = async function(userId, amount, gameId, originalAmount, commissionRate, stackAfter) {
+  return this.createTableTransaction({
+    type: 'game_win',
+    userId,
+    amount,
     gameId,
+    stackAfter,
+    description: `Won ${amount} chips in game ${gameId}`,
     metadata: {
       originalAmount,
       commissionRate
@@ -190,12 +239,55 @@ transactionSchema.statics.createGameWinTransaction = async function(userId, amou
 };
 
 // Create game loss transaction  
-transactionSchema.statics.createGameLossTransaction = async function(userId, amount, gameId) {
-  return this.createTransaction({
+// Record only: the lost chips already left the stack as boot and bets during the hand
+transactionSchema.statics.createGameLossTransaction = async function(userId, amount, gameId, stack) {
+  const transaction = new this({
+    transactionId: this.generateTransactionId(),
     type: 'game_loss',
+    account: 'table',
     to: userId,
     amount,
+    balanceBefore: stack + amount,
+    balanceAfter: stack,
     description: `Lost ${amount} chips in game ${gameId}`,
+    gameId,
+    status: 'completed'
+  });
+
+  await transaction.save();
+  return transaction;
+};
+
+// Create boot (ante) transaction taken from a player's stack at the start of a hand
+transactionSchema.statics.createBootTransaction = async function(userId, amount, gameId, handNumber, stackAfter) {
+  return this.createTableTransaction({
+    type: 'boot',
+    userId,
+    amount,
+    gameId,
+    stackAfter,
+    description: `Boot of ${amount} chips for hand ${handNumber} in game ${gameId}`
+  });
+};
+
+// Create buy-in transaction: chips leave the wallet for a table stack (also top-ups and rebuys)
+transactionSchema.statics.createBuyInTransaction = async function(userId, amount, gameId, description) {
+  return this.createTransaction({
+    type: 'buy_in',
+    to: userId,
+    amount,
+    description: description || `Bought in for ${amount} chips in game ${gameId}`,
+    gameId
+  });
+};
+
+// Create cash-out transaction: a table stack goes back to the wallet
+transactionSchema.statics.createCashOutTransaction = async function(userId, amount, gameId) {
+  return this.createTransaction({
+    type: 'cash_out',
+    to: userId,
+    amount,
+    description: `Cashed out ${amount} chips from game ${gameId}`,
     gameId
   });
 };
@@ -219,6 +311,58 @@ transactionSchema.statics.createCommissionTransaction = async function(amount, g
   return transaction;
 };
 
+// Create tournament buy-in transaction: the buy-in and fee are held until the tournament
+// starts, or refunded if the player unregisters first
+transactionSchema.statics.createTournamentBuyInTransaction = async function(userId, tournament) {
+  return this.createTransaction({
+    type: 'tournament_buy_in',
+    to: userId,
+    amount: tournament.buyIn + tournament.fee,
+    description: `Registered for tournament ${tournament.tournamentId} (${tournament.buyIn} + ${tournament.fee} fee)`,
+    tournament: tournament._id
+  });
+};
+
+// Create tournament refund transaction for a player who unregistered or a cancelled tournament
+transactionSchema.statics.createTournamentRefundTransaction = async function(userId, tournament) {
+  return this.createTransaction({
+    type: 'refund',
+    to: userId,
+    amount: tournament.buyIn + tournament.fee,
+    description: `Refund of the buy-in for tournament ${tournament.tournamentId}`,
+    tournament: tournament._id
+  });
+};
+
+// Create tournament prize transaction, paid from the prize pool into the wallet
+transactionSchema.statics.createTournamentPrizeTransaction = async function(userId, amount, tournament, finishPosition) {
+  return this.createTransaction({
+    type: 'tournament_prize',
+    to: userId,
+    amount,
+    description: `Prize of ${amount} chips for finishing #${finishPosition} in tournament ${tournament.tournamentId}`,
+    tournament: tournament._id
+  });
+};
+
+// Create tournament fee transaction: the entry fees kept by the platform once it starts
+transactionSchema.statics.createTournamentFeeTransaction = async function(amount, tournament) {
+  const transaction = new this({
+    transactionId: this.generateTransactionId(),
+    type: 'tournament_fee',
+    to: null, // Platform fee
+    amount,
+    balanceBefore: 0,
+    balanceAfter: 0,
+    description: `Platform fees (${amount} chips) from tournament ${tournament.tournamentId}`,
+    tournament: tournament._id,
+    status: 'completed'
+  });
+
+  await transaction.save();
+  return transaction;
+};
+
 // Create transfer transaction (both send and receive)
 transactionSchema.statics.createTransferTransaction = async function(fromUserId, toUserId, amount, description = '') {
   const User = mongoose.model('User');
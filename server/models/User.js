@@ -65,9 +65,14 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'bot'],
     default: 'user'
   },
+  botPersonality: {
+    type: String,
+    enum: ['tight', 'loose', 'bluffer', null],
+    default: null
+  },
   friends: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -124,6 +129,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ isOnline: 1 });
 userSchema.index({ chips: -1 });
+userSchema.index({ role: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
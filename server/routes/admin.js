@@ -1,18 +1,27 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Game = require('../models/Game');
 const Transaction = require('../models/Transaction');
+const TableTemplate = require('../models/TableTemplate');
+const CommissionSetting = require('../models/CommissionSetting');
+const Hand = require('../models/Hand');
 const { authenticateToken, requireAdmin, rateLimitByUser, logActivity } = require('../middleware/auth');
+const { dispatchAction, ensureGameTimers } = require('../socket/socketHandler');
+const { PERSONALITY_NAMES } = require('../bots/strategy');
+const { COMMISSION_EXEMPTIONS } = require('../engine');
 
 const router = express.Router();
 
 // Get platform statistics (admin dashboard)
 router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isOnline: true });
-    const blockedUsers = await User.countDocuments({ isBlocked: true });
+    // Bots are reported on their own so they do not skew player numbers
+    const humans = { role: { $ne: 'bot' } };
+    const totalUsers = await User.countDocuments(humans);
+    const activeUsers = await User.countDocuments({ ...humans, isOnline: true });
+    const blockedUsers = await User.countDocuments({ ...humans, isBlocked: true });
     
     const totalGames = await Game.countDocuments();
     const activeGames = await Game.countDocuments({ status: 'active' });
@@ -27,6 +36,9 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
 
     // Calculate total chips in circulation
     const chipStats = await User.aggregate([
+      {
+        $match: humans
+      },
       {
         $group: {
           _id: null,
@@ -36,6 +48,22 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       }
     ]);
 
+    // Chips bought in to tables are out of the wallets until they are cashed out
+    const tableChipStats = await Game.aggregate([
+      {
+        $match: { status: { $in: ['waiting', 'active'] } }
+      },
+      {
+        $unwind: '$players'
+      },
+      {
+        $group: {
+          _id: null,
+          totalStacks: { $sum: '$players.stack' }
+        }
+      }
+    ]);
+
     // Calculate platform commission earned
     const commissionStats = await Transaction.aggregate([
       {
@@ -50,6 +78,27 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       }
     ]);
 
+    const botStats = await User.aggregate([
+      {
+        $match: { role: 'bot' }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          seated: { $sum: { $cond: [{ $ifNull: ['$currentGameId', false] }, 1, 0] } },
+          chips: { $sum: '$chips' },
+          gamesPlayed: { $sum: '$gamesPlayed' },
+          gamesWon: { $sum: '$gamesWon' },
+          totalChipsWon: { $sum: '$totalChipsWon' },
+          totalChipsLost: { $sum: '$totalChipsLost' }
+        }
+      }
+    ]);
+    const bots = botStats[0] || {
+      total: 0, seated: 0, chips: 0, gamesPlayed: 0, gamesWon: 0, totalChipsWon: 0, totalChipsLost: 0
+    };
+
     const dashboard = {
       users: {
         total: totalUsers,
@@ -69,11 +118,22 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       },
       chips: {
         totalInCirculation: chipStats[0]?.totalChips || 0,
-        averagePerUser: chipStats[0]?.averageChips || 0
+        averagePerUser: chipStats[0]?.averageChips || 0,
+        onTables: tableChipStats[0]?.totalStacks || 0
       },
       platform: {
         totalCommission: commissionStats[0]?.totalCommission || 0,
         commissionTransactions: commissionStats[0]?.count || 0
+      },
+      bots: {
+        total: bots.total,
+        seated: bots.seated,
+        chips: bots.chips,
+        gamesPlayed: bots.gamesPlayed,
+        gamesWon: bots.gamesWon,
+        totalChipsWon: bots.totalChipsWon,
+        totalChipsLost: bots.totalChipsLost,
+        netChips: bots.totalChipsWon - bots.totalChipsLost
       }
     };
 
@@ -91,6 +151,7 @@ router.get('/users', authenticateToken, requireAdmin, [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().isLength({ max: 50 }).withMessage('Search term too long'),
   query('status').optional().isIn(['all', 'active', 'blocked', 'online']).withMessage('Invalid status filter'),
+  query('role').optional().isIn(['user', 'admin', 'bot']).withMessage('Invalid role filter'),
   query('sortBy').optional().isIn(['createdAt', 'chips', 'gamesPlayed', 'lastSeen']).withMessage('Invalid sort field'),
   query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Invalid sort order')
 ], async (req, res) => {
@@ -105,10 +166,14 @@ router.get('/users', authenticateToken, requireAdmin, [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const { search, status = 'all', sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { search, status = 'all', role, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
     // Build query
     const query = {};
+
+    if (role) {
+      query.role = role;
+    }
     
     if (search) {
       query.$or = [
@@ -492,13 +557,678 @@ router.post('/generate-chips', authenticateToken, requireAdmin, [
   }
 });
 
+// List bot players
+router.get('/bots', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const bots = await User.find({ role: 'bot' })
+      .select('username avatar chips botPersonality currentGameId gamesPlayed gamesWon totalChipsWon totalChipsLost createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({ bots });
+
+  } catch (error) {
+    console.error('Admin get bots error:', error);
+    res.status(500).json({ message: 'Failed to fetch bots' });
+  }
+});
+
+// Create a bot player funded from the admin ledger
+router.post('/bots', authenticateToken, requireAdmin, [
+  body('username')
+    .isLength({ min: 3, max: 20 })
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username must be 3-20 characters and contain only letters, numbers and underscores'),
+  body('personality')
+    .isIn(PERSONALITY_NAMES)
+    .withMessage(`Personality must be one of: ${PERSONALITY_NAMES.join(', ')}`),
+  body('chips')
+    .optional()
+    .isInt({ min: 1, max: 1000000000 })
+    .withMessage('Chips must be between 1 and 1 billion')
+], logActivity('admin_create_bot'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { username, personality, chips } = req.body;
+
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Username already taken' });
+    }
+
+    // Bots never sign in, so the password is random and not kept anywhere
+    const bot = new User({
+      username,
+      email: `${username.toLowerCase()}@bots.local`,
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'bot',
+      botPersonality: personality,
+      isEmailVerified: true
+    });
+    await bot.save();
+
+    if (chips) {
+      await Transaction.createAdminTransaction(
+        req.user._id,
+        bot._id,
+        parseInt(chips),
+        'admin_add',
+        `Bankroll for bot ${username}`
+      );
+    }
+
+    res.status(201).json({
+      message: 'Bot created successfully',
+      bot: {
+        id: bot._id,
+        username: bot.username,
+        personality: bot.botPersonality,
+        chips: parseInt(chips) || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin create bot error:', error);
+    res.status(500).json({ message: 'Failed to create bot' });
+  }
+});
+
+// Seat a bot at a table; without a gameId it takes the oldest open public table with players
+router.post('/bots/:botId/join', authenticateToken, requireAdmin, [
+  body('gameId')
+    .optional()
+    .isString()
+    .withMessage('Game ID must be a string')
+], logActivity('admin_bot_join'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bot = await User.findOne({ _id: req.params.botId, role: 'bot' });
+    if (!bot) {
+      return res.status(404).json({ message: 'Bot not found' });
+    }
+
+    if (bot.currentGameId) {
+      return res.status(400).json({ message: 'Bot is already at a table' });
+    }
+
+    const game = req.body.gameId
+      ? await Game.findOne({ gameId: req.body.gameId })
+      : await Game.findOne({
+        isPrivate: false,
+        'players.0': { $exists: true },
+        $or: [{ status: 'waiting' }, { status: 'active', isPersistent: true }],
+        $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] }
+      }).sort({ createdAt: 1 });
+
+    if (!game) {
+      return res.status(404).json({ message: 'No open table found' });
+    }
+
+    const canJoinInProgress = game.isPersistent && game.status === 'active';
+    if (game.status !== 'waiting' && !canJoinInProgress) {
+      return res.status(400).json({ message: 'Game has already started or ended' });
+    }
+
+    if (game.players.length >= game.maxPlayers) {
+      return res.status(400).json({ message: 'Game is full' });
+    }
+
+    // Bots buy in for as much of the table maximum as their bankroll allows
+    const buyInLimits = game.getBuyInLimits();
+    if (bot.chips < buyInLimits.min) {
+      return res.status(400).json({
+        message: 'Bot has insufficient chips for this game',
+        required: buyInLimits.min,
+        current: bot.chips
+      });
+    }
+
+    await game.buyIn(bot._id, Math.min(bot.chips, buyInLimits.max));
+
+    // A persistent table waiting between hands may now have enough players
+    if (game.status === 'waiting' && !game.nextHandAt && game.scheduleNextHand()) {
+      await game.save();
+      ensureGameTimers(game);
+    }
+
+    await User.findByIdAndUpdate(bot._id, {
+      currentGameId: game._id
+    });
+
+    res.json({
+      message: 'Bot joined game',
+      game: {
+        gameId: game.gameId,
+        status: game.status,
+        players: game.players.length,
+        maxPlayers: game.maxPlayers
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin bot join error:', error);
+    if (error.message.includes('already in game') || error.message.includes('Game is full')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to seat bot' });
+  }
+});
+
+// Take a bot off its table, following the same rules as a player leaving
+router.post('/bots/:botId/leave', authenticateToken, requireAdmin, logActivity('admin_bot_leave'), async (req, res) => {
+  try {
+    const bot = await User.findOne({ _id: req.params.botId, role: 'bot' });
+    if (!bot) {
+      return res.status(404).json({ message: 'Bot not found' });
+    }
+
+    if (!bot.currentGameId) {
+      return res.status(400).json({ message: 'Bot is not in any game' });
+    }
+
+    const game = await Game.findById(bot.currentGameId);
+    if (game) {
+      const player = game.players.find(p => p.user.toString() === bot._id.toString());
+
+      if (player && game.status === 'active' && game.isPersistent) {
+        player.leaveAfterHand = true;
+        player.isSittingOut = true;
+        await game.save();
+        return res.json({ message: 'Bot will leave the table when this hand ends' });
+      }
+
+      if (player && game.status === 'active') {
+        await game.populate('players.user');
+        await dispatchAction(game, { type: 'leave', playerId: bot._id.toString() });
+      } else if (player) {
+        await game.removePlayer(bot._id);
+
+        if (game.isPersistent && game.status === 'waiting' && game.nextHandAt && !game.scheduleNextHand()) {
+          await game.save();
+        }
+      }
+    }
+
+    await User.findByIdAndUpdate(bot._id, {
+      currentGameId: null
+    });
+
+    res.json({ message: 'Bot left game' });
+
+  } catch (error) {
+    console.error('Admin bot leave error:', error);
+    res.status(500).json({ message: 'Failed to remove bot from game' });
+  }
+});
+
+// A table's or template's own commission settings; null falls back to the platform settings
+const commissionValidators = [
+  body('commissionRate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 0.25 })
+    .toFloat()
+    .withMessage('Commission rate must be between 0 and 0.25'),
+  body('commissionCap')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Commission cap must be positive'),
+  body('commissionExemptions')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Commission exemptions must be a list'),
+  body('commissionExemptions.*')
+    .isIn(COMMISSION_EXEMPTIONS)
+    .withMessage(`Commission exemptions must be from: ${COMMISSION_EXEMPTIONS.join(', ')}`)
+];
+
+// Table template settings; every field is optional so the same checks serve create and update
+const templateValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be 1-50 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('gameType')
+    .optional()
+    .isIn(['classic', 'joker', 'muflis', 'ak47'])
+    .withMessage('Invalid game type'),
+  body('maxPlayers')
+    .optional()
+    .isInt({ min: 2, max: 6 })
+    .toInt()
+    .withMessage('Max players must be between 2 and 6'),
+  body('bootAmount')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Boot amount must be positive'),
+  body('minBet')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Min bet must be positive'),
+  body('maxBet')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Max bet must be positive'),
+  body('potLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Pot limit must be positive'),
+  body('maxBlindRounds')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 20 })
+    .toInt()
+    .withMessage('Max blind rounds must be between 1 and 20'),
+  body('isPersistent')
+    .optional()
+    .isBoolean()
+    .withMessage('isPersistent must be boolean'),
+  body('maxMissedHands')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('Max missed hands must be between 1 and 100'),
+  body('minBuyIn')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Min buy-in must be positive'),
+  body('maxBuyIn')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Max buy-in must be positive'),
+  body('timeLimit')
+    .optional()
+    .isInt({ min: 10, max: 120 })
+    .toInt()
+    .withMessage('Time limit must be between 10 and 120 seconds'),
+  ...commissionValidators,
+  body('minOpenTables')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .toInt()
+    .withMessage('Min open tables must be between 0 and 20'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .toInt()
+    .withMessage('Sort order must be a whole number')
+];
+
+const TEMPLATE_FIELDS = [
+  'name', 'description', 'gameType', 'maxPlayers', 'bootAmount', 'minBet', 'maxBet', 'potLimit',
+  'maxBlindRounds', 'isPersistent', 'maxMissedHands', 'minBuyIn', 'maxBuyIn', 'timeLimit',
+  'commissionRate', 'commissionCap', 'commissionExemptions', 'minOpenTables', 'sortOrder'
+];
+
+// Copy the template fields present in the request onto a template
+const applyTemplateFields = (template, fields) => {
+  TEMPLATE_FIELDS
+    .filter(field => fields[field] !== undefined)
+    .forEach(field => {
+      template[field] = fields[field];
+    });
+};
+
+// Open the minimum tables in the background; an admin request does not wait on it
+const fillTemplateTables = () => {
+  TableTemplate.ensureOpenTables()
+    .catch(error => console.error('Template tables error:', error));
+};
+
+// List table templates with how many of their tables are open
+router.get('/templates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const templates = await TableTemplate.find()
+      .populate('createdBy', 'username')
+      .sort({ sortOrder: 1, name: 1 });
+
+    const formattedTemplates = await Promise.all(templates.map(async template => ({
+      ...template.toObject(),
+      openTables: await Game.countDocuments(template.getOpenTablesQuery())
+    })));
+
+    res.json({ templates: formattedTemplates });
+
+  } catch (error) {
+    console.error('Admin get templates error:', error);
+    res.status(500).json({ message: 'Failed to fetch table templates' });
+  }
+});
+
+// Create a table template
+router.post('/templates', authenticateToken, requireAdmin, [
+  body('name').exists().withMessage('Name is required'),
+  body('maxPlayers').exists().withMessage('Max players is required'),
+  body('minBet').exists().withMessage('Min bet is required'),
+  body('maxBet').exists().withMessage('Max bet is required'),
+  ...templateValidators
+], logActivity('admin_create_template'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settingsError = Game.getSettingsError(req.body);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+
+    const existingTemplate = await TableTemplate.findOne({ name: req.body.name });
+    if (existingTemplate) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    const template = new TableTemplate({ createdBy: req.user._id });
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    fillTemplateTables();
+
+    res.status(201).json({
+      message: 'Table template created successfully',
+      template
+    });
+
+  } catch (error) {
+    console.error('Admin create template error:', error);
+    res.status(500).json({ message: 'Failed to create table template' });
+  }
+});
+
+// Update a table template; tables already open keep the settings they were created with
+router.put('/templates/:templateId', authenticateToken, requireAdmin, templateValidators, logActivity('admin_update_template'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await TableTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Table template not found' });
+    }
+
+    if (req.body.name && req.body.name !== template.name) {
+      const existingTemplate = await TableTemplate.findOne({ name: req.body.name });
+      if (existingTemplate) {
+        return res.status(400).json({ message: 'A template with this name already exists' });
+      }
+    }
+
+    applyTemplateFields(template, req.body);
+
+    const settingsError = Game.getSettingsError(template);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+
+    await template.save();
+
+    fillTemplateTables();
+
+    res.json({
+      message: 'Table template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    console.error('Admin update template error:', error);
+    res.status(500).json({ message: 'Failed to update table template' });
+  }
+});
+
+// Turn a table template on or off
+router.post('/templates/:templateId/enabled', authenticateToken, requireAdmin, [
+  body('enabled')
+    .isBoolean()
+    .withMessage('Enabled status must be boolean')
+], logActivity('admin_toggle_template'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+
+    const template = await TableTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Table template not found' });
+    }
+
+    template.isEnabled = enabled;
+    await template.save();
+
+    // Close the server-run tables nobody has sat down at; tables with players play on
+    let closedTables = 0;
+    if (enabled) {
+      fillTemplateTables();
+    } else {
+      const result = await Game.updateMany({
+        template: template._id,
+        autoStart: true,
+        status: 'waiting',
+        players: { $size: 0 }
+      }, {
+        status: 'completed'
+      });
+      closedTables = result.modifiedCount;
+    }
+
+    res.json({
+      message: enabled ? 'Table template turned on' : 'Table template turned off',
+      template: {
+        id: template._id,
+        name: template.name,
+        isEnabled: template.isEnabled
+      },
+      closedTables
+    });
+
+  } catch (error) {
+    console.error('Admin toggle template error:', error);
+    res.status(500).json({ message: 'Failed to update table template' });
+  }
+});
+
+// Platform commission: the version in force and every version with what it collected
+router.get('/commission', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const versions = await CommissionSetting.find()
+      .populate('createdBy', 'username')
+      .sort({ version: -1 });
+
+    const totals = await Hand.aggregate([
+      {
+        $group: {
+          _id: '$commissionSettings.version',
+          hands: { $sum: 1 },
+          exemptHands: { $sum: { $cond: [{ $ifNull: ['$commissionSettings.exemption', false] }, 1, 0] } },
+          commission: { $sum: '$commission' }
+        }
+      }
+    ]);
+    const totalsOf = (version) => {
+      const total = totals.find(t => t._id === version);
+      return {
+        hands: total ? total.hands : 0,
+        exemptHands: total ? total.exemptHands : 0,
+        commission: total ? total.commission : 0
+      };
+    };
+
+    res.json({
+      current: await CommissionSetting.getCurrent(),
+      versions: [
+        ...versions.map(setting => ({
+          ...setting.toObject(),
+          ...totalsOf(setting.version)
+        })),
+        // Version 0: the rate from the environment, in force until the first version was published
+        {
+          ...CommissionSetting.getInitial(),
+          note: 'Initial settings',
+          createdBy: null,
+          ...totalsOf(0)
+        }
+      ],
+      // Hands raked entirely by a table's or template's own settings
+      tableSettings: totalsOf(null)
+    });
+
+  } catch (error) {
+    console.error('Admin get commission error:', error);
+    res.status(500).json({ message: 'Failed to fetch commission settings' });
+  }
+});
+
+// Publish a new version of the platform commission; tables pick it up from their next hand
+router.post('/commission', authenticateToken, requireAdmin, [
+  body('rate')
+    .isFloat({ min: 0, max: 0.25 })
+    .toFloat()
+    .withMessage('Rate must be between 0 and 0.25'),
+  body('cap')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Cap must be positive'),
+  body('exemptions')
+    .optional()
+    .isArray()
+    .withMessage('Exemptions must be a list'),
+  body('exemptions.*')
+    .isIn(COMMISSION_EXEMPTIONS)
+    .withMessage(`Exemptions must be from: ${COMMISSION_EXEMPTIONS.join(', ')}`),
+  body('note')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Note must be less than 200 characters')
+], logActivity('admin_update_commission'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rate, cap = null, exemptions = [], note = '' } = req.body;
+
+    const setting = await CommissionSetting.publish({
+      rate,
+      cap,
+      exemptions: [...new Set(exemptions)],
+      note
+    }, req.user._id);
+
+    res.status(201).json({
+      message: `Commission settings version ${setting.version} published`,
+      setting
+    });
+
+  } catch (error) {
+    console.error('Admin update commission error:', error);
+    res.status(500).json({ message: 'Failed to update commission settings' });
+  }
+});
+
+// Set a table's own commission settings; null goes back to the platform settings.
+// The hand in progress keeps the settings it was dealt with.
+router.put('/games/:gameId/commission', authenticateToken, requireAdmin, commissionValidators, logActivity('admin_update_table_commission'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingGame = await Game.findOne({ gameId: req.params.gameId }).select('tournament');
+    if (!existingGame) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    if (existingGame.tournament) {
+      return res.status(400).json({ message: 'Tournament tables are not raked' });
+    }
+
+    // Only these fields change, so a hand being played at the table is not overwritten
+    const updates = {};
+    ['commissionRate', 'commissionCap', 'commissionExemptions']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        updates[field] = field === 'commissionExemptions' && req.body[field]
+          ? [...new Set(req.body[field])]
+          : req.body[field];
+      });
+
+    const game = await Game.findOneAndUpdate(
+      { gameId: req.params.gameId },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Table commission updated',
+      game: {
+        gameId: game.gameId,
+        commissionRate: game.commissionRate,
+        commissionCap: game.commissionCap,
+        commissionExemptions: game.commissionExemptions
+      },
+      nextHand: await game.getCommissionSettings()
+    });
+
+  } catch (error) {
+    console.error('Admin update table commission error:', error);
+    res.status(500).json({ message: 'Failed to update table commission' });
+  }
+});
+
 // Get all transactions (admin view)
 router.get('/transactions', authenticateToken, requireAdmin, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('type').optional().isIn([
     'game_win', 'game_loss', 'transfer_send', 'transfer_receive', 
-    'admin_add', 'admin_deduct', 'commission_deduct', 'registration_bonus', 'refund'
+    'admin_add', 'admin_deduct', 'commission_deduct', 'boot', 'registration_bonus', 'refund',
+    'buy_in', 'cash_out', 'tournament_buy_in', 'tournament_prize', 'tournament_fee'
   ]).withMessage('Invalid transaction type'),
   query('userId').optional().isMongoId().withMessage('Invalid user ID'),
   query('startDate').optional().isISO8601().withMessage('Invalid start date'),
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const CommissionSetting = require('../models/CommissionSetting');
+const Hand = require('../models/Hand');
+const adminRoutes = require('./admin');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const admin = new User({
+  username: 'admin',
+  email: 'admin@example.com',
+  password: 'secret123',
+  role: 'admin'
+});
+
+describe('GET /api/admin/commission', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/admin', adminRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('reports the hands and commission of every version, the initial one included', async (t) => {
+    const published = new CommissionSetting({ version: 1, rate: 0.03, cap: 50, note: 'Cap big pots' });
+
+    t.mock.method(User, 'findById', () => ({ select: async () => admin }));
+    t.mock.method(CommissionSetting, 'find', () => ({ populate: () => ({ sort: async () => [published] }) }));
+    t.mock.method(CommissionSetting, 'findOne', () => ({ sort: async () => published }));
+    t.mock.method(Hand, 'aggregate', async () => [
+      { _id: 0, hands: 40, exemptHands: 2, commission: 900 },
+      { _id: 1, hands: 10, exemptHands: 0, commission: 150 },
+      { _id: null, hands: 5, exemptHands: 1, commission: 60 }
+    ]);
+
+    const response = await fetch(`${baseUrl}/api/admin/commission`, {
+      headers: { Authorization: `Bearer ${jwt.sign({ userId: admin._id }, process.env.JWT_SECRET)}` }
+    });
+    const { current, versions, tableSettings } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(current.version, 1);
+    assert.deepEqual(versions.map(v => [v.version, v.hands, v.exemptHands, v.commission]), [
+      [1, 10, 0, 150],
+      [0, 40, 2, 900]
+    ]);
+    assert.equal(versions[1].rate, CommissionSetting.getInitial().rate);
+    assert.deepEqual(tableSettings, { hands: 5, exemptHands: 1, commission: 60 });
+  });
+});
@@ -127,6 +127,11 @@ router.post('/login', [
       });
     }
 
+    // Bots are played by the server and never sign in
+    if (user.role === 'bot') {
+      return res.status(403).json({ message: 'Bot accounts cannot sign in' });
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
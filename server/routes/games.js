@@ -2,17 +2,64 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Game = require('../models/Game');
 const User = require('../models/User');
+const Hand = require('../models/Hand');
+const TableTemplate = require('../models/TableTemplate');
+const { formatHands } = require('../utils/handHistoryExport');
+const {
+  dispatchAction,
+  announceHandStart,
+  ensureGameTimers,
+  getSpectatorCount,
+  formatGameForClient,
+  closeSpectating
+} = require('../socket/socketHandler');
 const { authenticateToken, checkChips, requireNotInGame, logActivity } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Lobby view of a game (hides sensitive information)
+const formatLobbyGame = (game) => ({
+  gameId: game.gameId,
+  gameType: game.gameType,
+  status: game.status,
+  template: game.template ? { id: game.template._id, name: game.template.name } : null,
+  maxPlayers: game.maxPlayers,
+  currentPlayers: game.players.length,
+  freeSeats: game.getFreeSeats(),
+  minBet: game.minBet,
+  maxBet: game.maxBet,
+  potLimit: game.potLimit,
+  maxBlindRounds: game.maxBlindRounds,
+  isPersistent: game.isPersistent,
+  handNumber: game.handNumber,
+  bootAmount: game.getBootAmount(),
+  buyIn: game.getBuyInLimits(),
+  pot: game.pot,
+  allowSpectators: game.allowSpectators,
+  spectatorCount: getSpectatorCount(game.gameId),
+  players: game.players.map(p => ({
+    username: p.user.username,
+    avatar: p.user.avatar,
+    city: p.user.city,
+    country: p.user.country,
+    seat: p.position,
+    stack: p.stack,
+    isPlaying: p.isPlaying,
+    isSittingOut: p.isSittingOut
+  })),
+  createdBy: game.createdBy.username,
+  createdAt: game.createdAt,
+  startedAt: game.startedAt
+});
+
 // Get available games (lobby)
 router.get('/lobby', authenticateToken, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('minBet').optional().isInt({ min: 1 }).withMessage('Min bet must be positive'),
   query('maxBet').optional().isInt({ min: 1 }).withMessage('Max bet must be positive'),
-  query('gameType').optional().isIn(['classic', 'joker', 'muflis', 'ak47']).withMessage('Invalid game type')
+  query('gameType').optional().isIn(['classic', 'joker', 'muflis', 'ak47']).withMessage('Invalid game type'),
+  query('template').optional().isMongoId().withMessage('Invalid template ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,48 +72,31 @@ router.get('/lobby', authenticateToken, [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const { minBet, maxBet, gameType } = req.query;
+    const { minBet, maxBet, gameType, template } = req.query;
 
     // Build query
     const query = { 
       status: { $in: ['waiting', 'active'] },
-      isPrivate: false
+      isPrivate: false,
+      tournament: null
     };
 
     if (minBet) query.minBet = { $gte: parseInt(minBet) };
     if (maxBet) query.maxBet = { $lte: parseInt(maxBet) };
     if (gameType) query.gameType = gameType;
+    if (template) query.template = template;
 
     const games = await Game.find(query)
       .populate('players.user', 'username avatar chips city country')
       .populate('createdBy', 'username avatar')
+      .populate('template', 'name')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit);
 
     const total = await Game.countDocuments(query);
 
-    // Format games for lobby display (hide sensitive information)
-    const formattedGames = games.map(game => ({
-      gameId: game.gameId,
-      gameType: game.gameType,
-      status: game.status,
-      maxPlayers: game.maxPlayers,
-      currentPlayers: game.players.length,
-      minBet: game.minBet,
-      maxBet: game.maxBet,
-      pot: game.pot,
-      players: game.players.map(p => ({
-        username: p.user.username,
-        avatar: p.user.avatar,
-        city: p.user.city,
-        country: p.user.country,
-        isPlaying: p.isPlaying
-      })),
-      createdBy: game.createdBy.username,
-      createdAt: game.createdAt,
-      startedAt: game.startedAt
-    }));
+    const formattedGames = games.map(formatLobbyGame);
 
     res.json({
       games: formattedGames,
@@ -84,18 +114,70 @@ router.get('/lobby', authenticateToken, [
   }
 });
 
+// Lobby grouped by table template: each enabled template with its open public tables
+router.get('/lobby/templates', authenticateToken, async (req, res) => {
+  try {
+    const templates = await TableTemplate.find({ isEnabled: true }).sort({ sortOrder: 1, name: 1 });
+
+    const games = await Game.find({
+      template: { $in: templates.map(t => t._id) },
+      status: { $in: ['waiting', 'active'] },
+      isPrivate: false
+    })
+      .populate('players.user', 'username avatar chips city country')
+      .populate('createdBy', 'username avatar')
+      .populate('template', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      templates: templates.map(template => {
+        const tables = games
+          .filter(game => game.template && game.template._id.equals(template._id))
+          .map(formatLobbyGame);
+
+        return {
+          id: template._id,
+          name: template.name,
+          description: template.description,
+          gameType: template.gameType,
+          maxPlayers: template.maxPlayers,
+          bootAmount: template.bootAmount || template.minBet,
+          minBet: template.minBet,
+          maxBet: template.maxBet,
+          potLimit: template.potLimit,
+          timeLimit: template.timeLimit,
+          players: tables.reduce((sum, table) => sum + table.currentPlayers, 0),
+          tables
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Template lobby fetch error:', error);
+    res.status(500).json({ message: 'Failed to fetch table templates' });
+  }
+});
+
 // Create new game
 router.post('/create', authenticateToken, requireNotInGame, [
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid template ID'),
   body('gameType')
+    .if(body('templateId').not().exists())
     .isIn(['classic', 'joker', 'muflis', 'ak47'])
     .withMessage('Invalid game type'),
   body('maxPlayers')
+    .if(body('templateId').not().exists())
     .isInt({ min: 2, max: 6 })
     .withMessage('Max players must be between 2 and 6'),
   body('minBet')
+    .if(body('templateId').not().exists())
     .isInt({ min: 1 })
     .withMessage('Min bet must be positive'),
   body('maxBet')
+    .if(body('templateId').not().exists())
     .isInt({ min: 1 })
     .withMessage('Max bet must be positive'),
   body('isPrivate')
@@ -105,7 +187,49 @@ router.post('/create', authenticateToken, requireNotInGame, [
   body('password')
     .optional()
     .isLength({ min: 4, max: 20 })
-    .withMessage('Password must be between 4 and 20 characters')
+    .withMessage('Password must be between 4 and 20 characters'),
+  body('potLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Pot limit must be positive'),
+  body('maxBlindRounds')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Max blind rounds must be between 1 and 20'),
+  body('isPersistent')
+    .optional()
+    .isBoolean()
+    .withMessage('isPersistent must be boolean'),
+  body('bootAmount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Boot amount must be positive'),
+  body('allowSpectators')
+    .optional()
+    .isBoolean()
+    .withMessage('allowSpectators must be boolean'),
+  body('maxMissedHands')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Max missed hands must be between 1 and 100'),
+  body('seat')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .toInt()
+    .withMessage('Seat must be between 0 and 5'),
+  body('minBuyIn')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Min buy-in must be positive'),
+  body('maxBuyIn')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max buy-in must be positive'),
+  body('buyIn')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Buy-in must be positive')
 ], logActivity('create_game'), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -116,37 +240,72 @@ router.post('/create', authenticateToken, requireNotInGame, [
       });
     }
 
-    const { gameType, maxPlayers, minBet, maxBet, isPrivate = false, password } = req.body;
+    const { templateId, isPrivate = false, password, allowSpectators = true, seat = null } = req.body;
+
+    // A template fixes every table setting; otherwise they come from the request
+    let settings;
+    if (templateId) {
+      const template = await TableTemplate.findById(templateId);
+      if (!template || !template.isEnabled) {
+        return res.status(400).json({ message: 'Table template not found or turned off' });
+      }
+      settings = template.getGameSettings();
+    } else {
+      const { gameType, maxPlayers, minBet, maxBet, potLimit = null, maxBlindRounds = null, isPersistent = false, bootAmount = null, minBuyIn = null, maxBuyIn = null } = req.body;
+      const maxMissedHands = req.body.maxMissedHands === undefined ? 3 : req.body.maxMissedHands;
+      settings = { gameType, maxPlayers, minBet, maxBet, potLimit, maxBlindRounds, isPersistent, bootAmount, maxMissedHands, minBuyIn, maxBuyIn };
 
-    // Validate bet range
-    if (maxBet < minBet) {
-      return res.status(400).json({ message: 'Max bet must be greater than or equal to min bet' });
+      const settingsError = Game.getSettingsError(settings);
+      if (settingsError) {
+        return res.status(400).json({ message: settingsError });
+      }
     }
 
-    // Check if user has enough chips for minimum bet
-    if (req.user.chips < minBet) {
-      return res.status(400).json({ 
-        message: 'Insufficient chips to create this game',
-        required: minBet,
-        current: req.user.chips
-      });
+    if (seat !== null && seat >= settings.maxPlayers) {
+      return res.status(400).json({ message: 'Seat must be less than max players' });
     }
 
     // Create new game
     const game = new Game({
+      ...settings,
       gameId: Game.generateGameId(),
-      gameType,
-      maxPlayers,
-      minBet,
-      maxBet,
       isPrivate,
       password: isPrivate && password ? password : null,
+      allowSpectators,
       createdBy: req.user._id
     });
 
-    // Add creator as first player
-    await game.addPlayer(req.user._id);
-    await game.save();
+    // Private tables are joined through an invite code (or the password, if one is set)
+    if (isPrivate) {
+      game.rotateInviteCode();
+    }
+
+    const buyInLimits = game.getBuyInLimits();
+    if (buyInLimits.max < buyInLimits.min) {
+      return res.status(400).json({ message: 'Max buy-in must be greater than or equal to min buy-in', buyIn: buyInLimits });
+    }
+
+    // The creator buys in like everyone else (at the minimum unless they say otherwise)
+    const buyIn = req.body.buyIn || buyInLimits.min;
+    if (buyIn < buyInLimits.min || buyIn > buyInLimits.max) {
+      return res.status(400).json({ message: `Buy-in must be between ${buyInLimits.min} and ${buyInLimits.max} chips`, buyIn: buyInLimits });
+    }
+
+    if (req.user.chips < buyIn) {
+      return res.status(400).json({ 
+        message: 'Insufficient chips to create this game',
+        required: buyIn,
+        current: req.user.chips
+      });
+    }
+
+    // Add creator as first player; a table whose creator could not buy in is not left open
+    try {
+      await game.buyIn(req.user._id, buyIn, seat);
+    } catch (error) {
+      await Game.deleteOne({ _id: game._id });
+      throw error;
+    }
 
     // Update user's current game
     await User.findByIdAndUpdate(req.user._id, {
@@ -162,7 +321,17 @@ router.post('/create', authenticateToken, requireNotInGame, [
         maxPlayers: game.maxPlayers,
         minBet: game.minBet,
         maxBet: game.maxBet,
+        potLimit: game.potLimit,
+        maxBlindRounds: game.maxBlindRounds,
+        isPersistent: game.isPersistent,
+        maxMissedHands: game.maxMissedHands,
+        bootAmount: game.getBootAmount(),
+        buyIn: game.getBuyInLimits(),
+        stack: buyIn,
         isPrivate: game.isPrivate,
+        inviteCode: game.inviteCode,
+        inviteLink: game.getInviteLink(),
+        allowSpectators: game.allowSpectators,
         players: game.players.length,
         createdAt: game.createdAt
       }
@@ -170,6 +339,9 @@ router.post('/create', authenticateToken, requireNotInGame, [
 
   } catch (error) {
     console.error('Game creation error:', error);
+    if (error.message.includes('Insufficient balance')) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to create game' });
   }
 });
@@ -179,11 +351,33 @@ router.post('/join/:gameId', authenticateToken, requireNotInGame, [
   body('password')
     .optional()
     .isString()
-    .withMessage('Password must be a string')
+    .withMessage('Password must be a string'),
+  body('inviteCode')
+    .optional()
+    .isString()
+    .withMessage('Invite code must be a string'),
+  body('seat')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .toInt()
+    .withMessage('Seat must be between 0 and 5'),
+  body('buyIn')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Buy-in must be positive')
 ], logActivity('join_game'), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { gameId } = req.params;
-    const { password } = req.body;
+    const { password, inviteCode, seat = null } = req.body;
 
     const game = await Game.findOne({ gameId })
       .populate('players.user', 'username avatar chips');
@@ -192,7 +386,13 @@ router.post('/join/:gameId', authenticateToken, requireNotInGame, [
       return res.status(404).json({ message: 'Game not found' });
     }
 
-    if (game.status !== 'waiting') {
+    if (game.tournament) {
+      return res.status(400).json({ message: 'Tournament tables are seated by the tournament' });
+    }
+
+    // Persistent tables can be joined mid-hand; the new player is dealt in on the next hand
+    const canJoinInProgress = game.isPersistent && game.status === 'active';
+    if (game.status !== 'waiting' && !canJoinInProgress) {
       return res.status(400).json({ message: 'Game has already started or ended' });
     }
 
@@ -200,22 +400,44 @@ router.post('/join/:gameId', authenticateToken, requireNotInGame, [
       return res.status(400).json({ message: 'Game is full' });
     }
 
-    // Check if game is private and password is required
-    if (game.isPrivate && game.password !== password) {
-      return res.status(403).json({ message: 'Invalid password for private game' });
+    // A private game needs its invite code or its password
+    if (!(await game.checkAccess({ inviteCode, password }))) {
+      return res.status(403).json({ message: 'Invalid invite code or password for private game' });
+    }
+
+    // The stack brought to the table comes out of the wallet (the minimum unless chosen)
+    const buyInLimits = game.getBuyInLimits();
+    const buyIn = req.body.buyIn || buyInLimits.min;
+    if (buyIn < buyInLimits.min || buyIn > buyInLimits.max) {
+      return res.status(400).json({
+        message: `Buy-in must be between ${buyInLimits.min} and ${buyInLimits.max} chips`,
+        buyIn: buyInLimits
+      });
     }
 
-    // Check if user has enough chips
-    if (req.user.chips < game.minBet) {
+    if (req.user.chips < buyIn) {
       return res.status(400).json({ 
         message: 'Insufficient chips to join this game',
-        required: game.minBet,
+        required: buyIn,
         current: req.user.chips
       });
     }
 
+    if (seat !== null && !game.getFreeSeats().includes(seat)) {
+      return res.status(400).json({
+        message: seat < game.maxPlayers ? 'Seat is already taken' : 'Invalid seat number',
+        freeSeats: game.getFreeSeats()
+      });
+    }
+
     // Add player to game
-    await game.addPlayer(req.user._id);
+    await game.buyIn(req.user._id, buyIn, seat);
+
+    // A persistent table waiting between hands may now have enough players
+    if (game.status === 'waiting' && !game.nextHandAt && game.scheduleNextHand()) {
+      await game.save();
+      ensureGameTimers(game);
+    }
 
     // Update user's current game
     await User.findByIdAndUpdate(req.user._id, {
@@ -227,6 +449,8 @@ router.post('/join/:gameId', authenticateToken, requireNotInGame, [
       game: {
         gameId: game.gameId,
         status: game.status,
+        seat: game.players.find(p => p.user._id.toString() === req.user._id.toString()).position,
+        stack: buyIn,
         players: game.players.length,
         maxPlayers: game.maxPlayers
       }
@@ -234,7 +458,8 @@ router.post('/join/:gameId', authenticateToken, requireNotInGame, [
 
   } catch (error) {
     console.error('Game join error:', error);
-    if (error.message.includes('already in game') || error.message.includes('Game is full')) {
+    if (error.message.includes('already in game') || error.message.includes('Game is full') ||
+        error.message.includes('Seat') || error.message.includes('Insufficient balance')) {
       return res.status(400).json({ message: error.message });
     }
     res.status(500).json({ message: 'Failed to join game' });
@@ -255,27 +480,34 @@ router.post('/leave', authenticateToken, logActivity('leave_game'), async (req,
       return res.status(404).json({ message: 'Game not found' });
     }
 
-    // If game has started, player folds instead of leaving
-    if (game.status === 'active') {
-      const playerIndex = game.players.findIndex(p => p.user.toString() === req.user._id.toString());
-      if (playerIndex !== -1) {
-        game.players[playerIndex].isFolded = true;
-        game.players[playerIndex].isPlaying = false;
-        game.addToHistory('fold', req.user._id, 0, `${req.user.username} left the game (folded)`);
-        
-        // Check if game should end
-        const activePlayers = game.players.filter(p => !p.isFolded && p.isPlaying);
-        if (activePlayers.length === 1) {
-          game.status = 'completed';
-          game.winner = activePlayers[0].user;
-          game.completedAt = new Date();
-        }
-        
+    // Tournament players stay until they are knocked out (or win)
+    if (game.tournament && ['waiting', 'active'].includes(game.status)) {
+      return res.status(400).json({ message: 'You cannot leave a tournament table' });
+    }
+
+    // At a persistent table, a player in a running hand leaves once it ends
+    if (game.status === 'active' && game.isPersistent) {
+      const player = game.players.find(p => p.user.toString() === req.user._id.toString());
+      if (player) {
+        player.leaveAfterHand = true;
+        player.isSittingOut = true;
         await game.save();
+        return res.json({ message: 'You will leave the table when this hand ends' });
       }
+    }
+
+    // If game has started, player folds instead of leaving
+    if (game.status === 'active') {
+      await game.populate('players.user');
+      await dispatchAction(game, { type: 'leave', playerId: req.user._id.toString() });
     } else {
       // Remove player from waiting game
       await game.removePlayer(req.user._id);
+
+      // A persistent table between hands may no longer have enough players
+      if (game.isPersistent && game.status === 'waiting' && game.nextHandAt && !game.scheduleNextHand()) {
+        await game.save();
+      }
     }
 
     // Update user's current game
@@ -291,6 +523,59 @@ router.post('/leave', authenticateToken, logActivity('leave_game'), async (req,
   }
 });
 
+// Top up (or rebuy) the stack at the current table between hands
+router.post('/top-up', authenticateToken, [
+  body('amount')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Amount must be a positive integer')
+], logActivity('top_up_stack'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.currentGameId) {
+      return res.status(400).json({ message: 'You are not in any game' });
+    }
+
+    const game = await Game.findById(req.user.currentGameId);
+    if (!game || !['waiting', 'active'].includes(game.status)) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    const { amount } = req.body;
+    if (req.user.chips < amount) {
+      return res.status(400).json({
+        message: 'Insufficient chips to top up',
+        required: amount,
+        current: req.user.chips
+      });
+    }
+
+    const { stack, isRebuy } = await game.topUp(req.user._id, amount);
+
+    res.json({
+      message: isRebuy ? 'Rebuy successful' : 'Top-up successful',
+      stack,
+      buyIn: game.getBuyInLimits()
+    });
+
+  } catch (error) {
+    console.error('Top-up error:', error);
+    if (error.message.includes('between hands') || error.message.includes('table maximum') ||
+        error.message.includes('tournament') ||
+        error.message.includes('Insufficient balance') || error.message.includes('not in game')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to top up stack' });
+  }
+});
+
 // Start game (only creator can start)
 router.post('/start/:gameId', authenticateToken, logActivity('start_game'), async (req, res) => {
   try {
@@ -306,29 +591,34 @@ router.post('/start/:gameId', authenticateToken, logActivity('start_game'), asyn
       return res.status(403).json({ message: 'Only game creator can start the game' });
     }
 
+    if (game.tournament) {
+      return res.status(400).json({ message: 'Tournament tables deal on their own' });
+    }
+
     if (game.status !== 'waiting') {
       return res.status(400).json({ message: 'Game has already started or ended' });
     }
 
-    if (game.players.length < 2) {
+    const seatedPlayers = game.players.filter(p => !p.isSittingOut);
+    if (seatedPlayers.length < 2) {
       return res.status(400).json({ message: 'Need at least 2 players to start' });
     }
 
-    // Validate all players have enough chips
-    for (const player of game.players) {
-      const user = await User.findById(player.user._id);
-      if (user.chips < game.minBet) {
+    // Validate all players' stacks can cover the boot
+    for (const player of seatedPlayers) {
+      if (player.stack < game.getBootAmount()) {
         return res.status(400).json({ 
-          message: `Player ${user.username} has insufficient chips`,
-          player: user.username,
-          required: game.minBet,
-          current: user.chips
+          message: `Player ${player.user.username} has insufficient chips`,
+          player: player.user.username,
+          required: game.getBootAmount(),
+          current: player.stack
         });
       }
     }
 
     // Start the game
-    await game.startGame();
+    const events = await game.startGame();
+    await announceHandStart(game, events);
 
     res.json({
       message: 'Game started successfully',
@@ -364,23 +654,13 @@ router.get('/current', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Game not found' });
     }
 
-    // Format game for client (hide other players' cards)
-    const gameData = game.toObject();
-    const userPlayer = gameData.players.find(p => p.user._id.toString() === req.user._id.toString());
-    
-    if (!userPlayer) {
+    if (!game.players.some(p => p.user._id.toString() === req.user._id.toString())) {
       return res.status(403).json({ message: 'You are not in this game' });
     }
 
-    // Hide other players' cards if game is active
-    if (game.status === 'active') {
-      gameData.players = gameData.players.map(player => {
-        if (player.user._id.toString() !== req.user._id.toString()) {
-          player.cards = new Array(player.cards.length).fill({ hidden: true });
-        }
-        return player;
-      });
-    }
+    // Hide other players' cards (and the user's own while blind); between hands at a
+    // persistent table the last hand's cards are still on the seats
+    const gameData = formatGameForClient(game, req.user._id.toString());
 
     res.json({
       game: gameData,
@@ -464,6 +744,429 @@ router.get('/history', authenticateToken, [
   }
 });
 
+// Most hands in one export file
+const EXPORT_HAND_LIMIT = 1000;
+
+// Download the user's hands as a text hand history, for one table or a date range
+router.get('/export', authenticateToken, [
+  query('gameId').optional().isString().withMessage('Game ID must be a string'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { gameId, from, to } = req.query;
+    if (!gameId && !from && !to) {
+      return res.status(400).json({ message: 'Choose a game or a date range to export' });
+    }
+
+    const handQuery = { 'players.user': req.user._id };
+
+    if (gameId) {
+      const game = await Game.findOne({ gameId });
+      if (!game) {
+        return res.status(404).json({ message: 'Game not found' });
+      }
+      handQuery.game = game._id;
+    }
+
+    if (from || to) {
+      handQuery.createdAt = {};
+      if (from) handQuery.createdAt.$gte = new Date(from);
+      // A date on its own takes in the whole of that day (UTC)
+      if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        const dayAfter = new Date(to);
+        dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+        handQuery.createdAt.$lt = dayAfter;
+      } else if (to) {
+        handQuery.createdAt.$lte = new Date(to);
+      }
+    }
+
+    const hands = await Hand.find(handQuery)
+      .populate('game', 'minBet maxBet bootAmount potLimit maxPlayers')
+      .populate('players.user', 'username')
+      .sort({ createdAt: 1 })
+      .limit(EXPORT_HAND_LIMIT);
+
+    if (hands.length === 0) {
+      return res.status(404).json({ message: 'No hands found to export' });
+    }
+
+    const fileName = gameId
+      ? `teenpatti-${gameId}.txt`
+      : `teenpatti-${(from || 'start').slice(0, 10)}-to-${(to || 'now').slice(0, 10)}.txt`;
+
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(formatHands(hands, req.user._id));
+
+  } catch (error) {
+    console.error('Hand history export error:', error);
+    res.status(500).json({ message: 'Failed to export hand history' });
+  }
+});
+
+// Get the hands the user played at a table, each as the user's replay of it
+router.get('/:gameId/hands', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const game = await Game.findOne({ gameId: req.params.gameId });
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    const query = {
+      game: game._id,
+      'players.user': req.user._id
+    };
+
+    const hands = await Hand.find(query)
+      .populate('players.user', 'username avatar')
+      .sort({ handNumber: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Hand.countDocuments(query);
+
+    res.json({
+      hands: hands.map(hand => hand.toReplay(req.user._id)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Hand history fetch error:', error);
+    res.status(500).json({ message: 'Failed to fetch hands' });
+  }
+});
+
+// Step-by-step replay of a finished hand (defaults to the latest). Players see the cards
+// they saw at the table; admins see every hand.
+router.get('/:gameId/replay', authenticateToken, [
+  query('hand').optional().isInt({ min: 1 }).withMessage('Hand must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const game = await Game.findOne({ gameId: req.params.gameId });
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    const handQuery = { game: game._id };
+    if (req.query.hand) {
+      handQuery.handNumber = parseInt(req.query.hand);
+    }
+
+    const hand = await Hand.findOne(handQuery)
+      .sort({ handNumber: -1 })
+      .populate('players.user', 'username avatar');
+    if (!hand) {
+      return res.status(404).json({ message: 'Hand not found or not finished yet' });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const playedHand = hand.players.some(p => p.user._id.toString() === req.user._id.toString());
+    if (!playedHand && !isAdmin) {
+      return res.status(403).json({ message: 'You did not play in this hand' });
+    }
+
+    res.json({
+      replay: hand.toReplay(req.user._id, { revealAll: isAdmin })
+    });
+
+  } catch (error) {
+    console.error('Hand replay error:', error);
+    res.status(500).json({ message: 'Failed to load hand replay' });
+  }
+});
+
+// Watch a table without a seat. Returns the spectator view; live updates come over the
+// `spectate_game` socket event.
+router.post('/spectate/:gameId', authenticateToken, [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('inviteCode')
+    .optional()
+    .isString()
+    .withMessage('Invite code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const game = await Game.findOne({ gameId: req.params.gameId })
+      .populate('players.user', 'username avatar chips');
+
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    const { password, inviteCode } = req.body;
+    const spectateError = await game.getSpectateError(req.user._id, { password, inviteCode });
+    if (spectateError) {
+      return res.status(403).json({ message: spectateError });
+    }
+
+    res.json({
+      game: formatGameForClient(game, null),
+      spectatorCount: getSpectatorCount(game.gameId)
+    });
+
+  } catch (error) {
+    console.error('Spectate game error:', error);
+    res.status(500).json({ message: 'Failed to spectate game' });
+  }
+});
+
+// Turn spectating on or off (only creator)
+router.post('/:gameId/spectators', authenticateToken, [
+  body('allowSpectators')
+    .isBoolean()
+    .withMessage('allowSpectators must be boolean')
+], logActivity('toggle_spectators'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const game = await Game.findOne({ gameId: req.params.gameId }).populate('players.user', 'username');
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    if (game.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only game creator can change spectator settings' });
+    }
+
+    game.allowSpectators = req.body.allowSpectators === true || req.body.allowSpectators === 'true';
+    await game.save();
+
+    if (!game.allowSpectators) {
+      closeSpectating(game, 'The host has turned spectating off');
+    }
+
+    res.json({
+      message: game.allowSpectators ? 'Spectating turned on' : 'Spectating turned off',
+      allowSpectators: game.allowSpectators,
+      spectatorCount: getSpectatorCount(game.gameId)
+    });
+
+  } catch (error) {
+    console.error('Spectator settings error:', error);
+    res.status(500).json({ message: 'Failed to update spectator settings' });
+  }
+});
+
+// Look up the table behind an invite code or join link, so it can be joined with the code
+router.get('/invite/:code', authenticateToken, async (req, res) => {
+  try {
+    const game = await Game.findOne({
+      inviteCode: req.params.code.toUpperCase(),
+      status: { $in: ['waiting', 'active'] }
+    }).populate('players.user', 'username avatar');
+
+    if (!game) {
+      return res.status(404).json({ message: 'Invite code is invalid or has been revoked' });
+    }
+
+    res.json({
+      game: {
+        gameId: game.gameId,
+        gameType: game.gameType,
+        status: game.status,
+        maxPlayers: game.maxPlayers,
+        currentPlayers: game.players.length,
+        freeSeats: game.getFreeSeats(),
+        minBet: game.minBet,
+        maxBet: game.maxBet,
+        bootAmount: game.getBootAmount(),
+        buyIn: game.getBuyInLimits(),
+        isPersistent: game.isPersistent,
+        players: game.players.map(p => ({
+          username: p.user.username,
+          avatar: p.user.avatar,
+          seat: p.position
+        }))
+      },
+      canJoin: game.players.length < game.maxPlayers &&
+        (game.status === 'waiting' || game.isPersistent)
+    });
+
+  } catch (error) {
+    console.error('Invite lookup error:', error);
+    res.status(500).json({ message: 'Failed to look up invite' });
+  }
+});
+
+// Load a private table for its host; invite codes are only managed by the creator
+const findHostedPrivateGame = async (req, res) => {
+  const game = await Game.findOne({ gameId: req.params.gameId });
+  if (!game) {
+    res.status(404).json({ message: 'Game not found' });
+    return null;
+  }
+
+  if (game.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Only game creator can manage the invite code' });
+    return null;
+  }
+
+  if (!game.isPrivate) {
+    res.status(400).json({ message: 'Only private games have invite codes' });
+    return null;
+  }
+
+  return game;
+};
+
+// Get the current invite code and join link (host only)
+router.get('/:gameId/invite', authenticateToken, async (req, res) => {
+  try {
+    const game = await findHostedPrivateGame(req, res);
+    if (!game) return;
+
+    res.json({
+      inviteCode: game.inviteCode,
+      inviteLink: game.getInviteLink()
+    });
+
+  } catch (error) {
+    console.error('Invite fetch error:', error);
+    res.status(500).json({ message: 'Failed to fetch invite' });
+  }
+});
+
+// Issue a new invite code; the old code and link stop working (host only)
+router.post('/:gameId/invite', authenticateToken, logActivity('rotate_invite_code'), async (req, res) => {
+  try {
+    const game = await findHostedPrivateGame(req, res);
+    if (!game) return;
+
+    game.rotateInviteCode();
+    await game.save();
+
+    res.json({
+      message: 'Invite code changed',
+      inviteCode: game.inviteCode,
+      inviteLink: game.getInviteLink()
+    });
+
+  } catch (error) {
+    console.error('Invite rotate error:', error);
+    res.status(500).json({ message: 'Failed to change invite code' });
+  }
+});
+
+// Revoke the invite code; only the password (if any) still lets people in (host only)
+router.delete('/:gameId/invite', authenticateToken, logActivity('revoke_invite_code'), async (req, res) => {
+  try {
+    const game = await findHostedPrivateGame(req, res);
+    if (!game) return;
+
+    game.inviteCode = null;
+    await game.save();
+
+    res.json({ message: 'Invite code revoked' });
+
+  } catch (error) {
+    console.error('Invite revoke error:', error);
+    res.status(500).json({ message: 'Failed to revoke invite code' });
+  }
+});
+
+// Verify a hand's shuffle from its revealed seeds (defaults to the latest hand)
+router.get('/:gameId/verify', authenticateToken, [
+  query('hand').optional().isInt({ min: 1 }).withMessage('Hand must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const game = await Game.findOne({ gameId: req.params.gameId });
+    if (!game) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    const handQuery = { game: game._id };
+    if (req.query.hand) {
+      handQuery.handNumber = parseInt(req.query.hand);
+    }
+
+    const hand = await Hand.findOne(handQuery).sort({ handNumber: -1 });
+    if (!hand) {
+      return res.status(404).json({ message: 'Hand not found or not finished yet' });
+    }
+
+    if (!hand.players.some(p => p.user.toString() === req.user._id.toString())) {
+      return res.status(403).json({ message: 'You did not play in this hand' });
+    }
+
+    if (!hand.fairness || !hand.fairness.serverSeed) {
+      return res.status(400).json({ message: 'This hand was dealt before provably fair shuffling' });
+    }
+
+    res.json({
+      gameId: game.gameId,
+      handNumber: hand.handNumber,
+      ...hand.verifyShuffle()
+    });
+
+  } catch (error) {
+    console.error('Shuffle verification error:', error);
+    res.status(500).json({ message: 'Failed to verify shuffle' });
+  }
+});
+
 // Get game details by ID
 router.get('/:gameId', authenticateToken, async (req, res) => {
   try {
@@ -489,6 +1192,7 @@ router.get('/:gameId', authenticateToken, async (req, res) => {
         status: game.status,
         maxPlayers: game.maxPlayers,
         currentPlayers: game.players.length,
+        freeSeats: game.getFreeSeats(),
         minBet: game.minBet,
         maxBet: game.maxBet,
         pot: game.pot,
@@ -497,7 +1201,10 @@ router.get('/:gameId', authenticateToken, async (req, res) => {
           username: p.user.username,
           avatar: p.user.avatar,
           city: p.user.city,
-          country: p.user.country
+          country: p.user.country,
+          seat: p.position,
+          stack: p.stack,
+          isSittingOut: p.isSittingOut
         })),
         createdBy: game.createdBy,
         createdAt: game.createdAt
@@ -510,18 +1217,9 @@ router.get('/:gameId', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Private game - access denied' });
     }
 
-    // Format game data based on game status and user access
-    let gameData = game.toObject();
-    
-    if (game.status === 'active' && userInGame) {
-      // Hide other players' cards for active games
-      gameData.players = gameData.players.map(player => {
-        if (player.user._id.toString() !== req.user._id.toString()) {
-          player.cards = new Array(player.cards.length).fill({ hidden: true });
-        }
-        return player;
-      });
-    }
+    // Only the user's own cards are shown, whatever the status; finished hands can be
+    // looked back on through the hand history, which reveals what the viewer was allowed to see
+    const gameData = formatGameForClient(game, req.user._id.toString());
 
     res.json({
       game: gameData,
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Game = require('../models/Game');
+const Hand = require('../models/Hand');
+const gameRoutes = require('./games');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const CARDS = [{ suit: 'hearts', rank: 'A' }, { suit: 'spades', rank: 'K' }, { suit: 'clubs', rank: 'Q' }];
+
+const users = ['alice', 'bob', 'carol'].map(username => new User({
+  username,
+  email: `${username}@example.com`,
+  password: 'secret123'
+}));
+const [alice, bob, carol] = users;
+
+// A finished hand: bob folded and carol's hand was shown
+const createHand = () => new Hand({
+  game: new mongoose.Types.ObjectId(),
+  gameId: 'TP1',
+  handNumber: 3,
+  players: users.map((user, seat) => ({
+    user,
+    position: seat,
+    cards: CARDS,
+    handRank: 'high-card',
+    isFolded: user === bob,
+    shown: user === carol,
+    stackBefore: 1000,
+    stackAfter: 1000
+  })),
+  history: [{ action: 'fold', player: bob._id, details: 'bob folded' }]
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/games', gameRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// GET the path signed in as the user; resolves to [status, body]
+const get = async (t, path, user) => {
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  const response = await fetch(`${baseUrl}/api/games${path}`, {
+    headers: { Authorization: `Bearer ${jwt.sign({ userId: user._id }, process.env.JWT_SECRET)}` }
+  });
+  return [response.status, await response.json()];
+};
+
+describe('GET /api/games/:gameId/hands', () => {
+  it('shows each hand as the viewer\'s replay of it', async (t) => {
+    const hand = createHand();
+    const found = {
+      populate: () => found,
+      sort: () => found,
+      skip: () => found,
+      limit: async () => [hand]
+    };
+
+    t.mock.method(Game, 'findOne', async () => ({ _id: hand.game }));
+    t.mock.method(Hand, 'find', () => found);
+    t.mock.method(Hand, 'countDocuments', async () => 1);
+
+    const [status, { hands, pagination }] = await get(t, '/TP1/hands', alice);
+
+    assert.equal(status, 200);
+    assert.deepEqual(hands, [JSON.parse(JSON.stringify(hand.toReplay(alice._id)))]);
+    assert.deepEqual(hands[0].players.map(p => p.cards.some(card => card.hidden)), [false, true, false]);
+    assert.equal(pagination.total, 1);
+  });
+});
+
+describe('GET /api/games/:gameId/replay', () => {
+  // The hand found for the table, and the query it was looked up with
+  const useHand = (t, hand) => {
+    const lookups = [];
+    t.mock.method(Game, 'findOne', async () => ({ _id: hand.game }));
+    t.mock.method(Hand, 'findOne', (query) => {
+      lookups.push(query);
+      return { sort: () => ({ populate: async () => hand }) };
+    });
+    return lookups;
+  };
+
+  it('replays the hand asked for as the player saw it', async (t) => {
+    const hand = createHand();
+    const lookups = useHand(t, hand);
+
+    const [status, { replay }] = await get(t, '/TP1/replay?hand=3', bob);
+
+    assert.equal(status, 200);
+    assert.deepEqual(lookups, [{ game: hand.game, handNumber: 3 }]);
+    assert.deepEqual(replay.players.map(p => p.cards.some(card => card.hidden)), [true, false, false]);
+  });
+
+  it('keeps out anyone who did not play the hand, but not an admin', async (t) => {
+    const hand = createHand();
+    useHand(t, hand);
+    const outsider = new User({ username: 'dave', email: 'dave@example.com', password: 'secret123' });
+    const admin = new User({ username: 'admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+
+    const [status, body] = await get(t, '/TP1/replay', outsider);
+    assert.equal(status, 403);
+    assert.equal(body.message, 'You did not play in this hand');
+
+    const [adminStatus, { replay }] = await get(t, '/TP1/replay', admin);
+    assert.equal(adminStatus, 200);
+    assert.ok(replay.players.every(p => !p.cards.some(card => card.hidden)));
+  });
+});
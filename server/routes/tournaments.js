@@ -0,0 +1,406 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Tournament = require('../models/Tournament');
+const Game = require('../models/Game');
+const {
+  startTournament,
+  scheduleTournamentTimer,
+  announceTournamentUpdate,
+  ensureGameTimers
+} = require('../socket/socketHandler');
+const { authenticateToken, requireAdmin, requireNotInGame, logActivity } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public view of a tournament for the lobby and detail pages
+const formatTournament = (tournament) => {
+  const levelIndex = tournament.getLevelIndex();
+
+  return {
+    tournamentId: tournament.tournamentId,
+    name: tournament.name,
+    format: tournament.format,
+    gameType: tournament.gameType,
+    status: tournament.status,
+    seats: tournament.seats,
+    tableSize: tournament.tableSize,
+    registered: tournament.entries.length,
+    registrationOpen: tournament.isRegistrationOpen(),
+    registrationOpensAt: tournament.registrationOpensAt,
+    scheduledStart: tournament.scheduledStart,
+    minEntries: tournament.minEntries,
+    lateRegistrationLevels: tournament.lateRegistrationLevels,
+    buyIn: tournament.buyIn,
+    fee: tournament.fee,
+    startingStack: tournament.startingStack,
+    prizePool: tournament.getPrizePool(),
+    prizes: tournament.getPrizes(),
+    levelMinutes: tournament.levelMinutes,
+    levels: tournament.levels,
+    level: tournament.status === 'running' ? levelIndex + 1 : null,
+    nextLevelAt: tournament.status === 'running' ? tournament.getNextLevelAt() : null,
+    startedAt: tournament.startedAt,
+    completedAt: tournament.completedAt,
+    createdAt: tournament.createdAt
+  };
+};
+
+// Get tournaments open for registration or running (lobby)
+router.get('/lobby', authenticateToken, [
+  query('status').optional().isIn(['registering', 'running', 'completed']).withMessage('Invalid status'),
+  query('format').optional().isIn(['sit_and_go', 'scheduled']).withMessage('Invalid format'),
+  query('gameType').optional().isIn(['classic', 'joker', 'muflis', 'ak47']).withMessage('Invalid game type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, format, gameType } = req.query;
+    const filter = {
+      status: status || { $in: ['registering', 'running'] }
+    };
+    if (format) filter.format = format;
+    if (gameType) filter.gameType = gameType;
+
+    const tournaments = await Tournament.find(filter)
+      .sort({ status: 1, scheduledStart: 1, createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      tournaments: tournaments.map(tournament => ({
+        ...formatTournament(tournament),
+        isRegistered: Boolean(tournament.getEntry(req.user._id))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Tournament lobby error:', error);
+    res.status(500).json({ message: 'Failed to fetch tournaments' });
+  }
+});
+
+// Create a sit-and-go or a scheduled tournament (admin only)
+router.post('/create', authenticateToken, requireAdmin, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('format')
+    .optional()
+    .isIn(['sit_and_go', 'scheduled'])
+    .withMessage('Invalid format'),
+  body('gameType')
+    .optional()
+    .isIn(['classic', 'joker', 'muflis', 'ak47'])
+    .withMessage('Invalid game type'),
+  body('seats')
+    .isInt({ min: 2, max: 1000 })
+    .toInt()
+    .withMessage('Seats must be between 2 and 1000'),
+  body('tableSize')
+    .optional()
+    .isInt({ min: 2, max: 6 })
+    .toInt()
+    .withMessage('Table size must be between 2 and 6'),
+  body('minEntries')
+    .optional()
+    .isInt({ min: 2 })
+    .toInt()
+    .withMessage('Minimum entries must be at least 2'),
+  body('scheduledStart')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid start time'),
+  body('registrationOpensAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid registration time'),
+  body('lateRegistrationLevels')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .toInt()
+    .withMessage('Late registration must be between 0 and 10 levels'),
+  body('buyIn')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Buy-in must be positive'),
+  body('fee')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Fee cannot be negative'),
+  body('startingStack')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Starting stack must be positive'),
+  body('bootAmount')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Boot amount must be positive'),
+  body('levelMinutes')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .toInt()
+    .withMessage('Level length must be between 1 and 60 minutes'),
+  body('levels')
+    .optional()
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Levels must be a list of 1 to 30 levels'),
+  body('levels.*.bootAmount')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Each level needs a positive boot amount'),
+  body('levels.*.maxBet')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Each level needs a positive max bet'),
+  body('prizes')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Prizes must be a list of up to 100 percentages'),
+  body('prizes.*')
+    .isFloat({ min: 0, max: 100 })
+    .toFloat()
+    .withMessage('Each prize must be a percentage')
+], logActivity('create_tournament'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, format = 'sit_and_go', gameType = 'classic', seats, buyIn, fee = 0, startingStack, bootAmount = 10, levelMinutes = 5, prizes = [] } = req.body;
+    const levels = req.body.levels || Tournament.buildLevels(bootAmount);
+    const isScheduled = format === 'scheduled';
+
+    // A sit-and-go is a single table that starts when it is full
+    if (!isScheduled && seats > 6) {
+      return res.status(400).json({ message: 'A sit-and-go has at most 6 seats' });
+    }
+
+    const { scheduledStart = null, registrationOpensAt = null, lateRegistrationLevels = 0, minEntries = 2 } = req.body;
+    if (isScheduled && (!scheduledStart || scheduledStart <= new Date())) {
+      return res.status(400).json({ message: 'A scheduled tournament needs a start time in the future' });
+    }
+
+    if (isScheduled && registrationOpensAt && registrationOpensAt >= scheduledStart) {
+      return res.status(400).json({ message: 'Registration must open before the start time' });
+    }
+
+    if (isScheduled && minEntries > seats) {
+      return res.status(400).json({ message: 'Minimum entries cannot be more than the seats' });
+    }
+
+    if (levels.some(level => level.maxBet < level.bootAmount)) {
+      return res.status(400).json({ message: 'Max bet must be greater than or equal to the boot at every level' });
+    }
+
+    if (startingStack < levels[0].bootAmount) {
+      return res.status(400).json({ message: 'Starting stack must cover at least one boot' });
+    }
+
+    if (prizes.length > seats) {
+      return res.status(400).json({ message: 'Cannot pay more places than there are seats' });
+    }
+
+    if (prizes.length > 0 && Math.abs(prizes.reduce((sum, prize) => sum + prize, 0) - 100) > 0.001) {
+      return res.status(400).json({ message: 'Prize percentages must add up to 100' });
+    }
+
+    const tournament = new Tournament({
+      tournamentId: Tournament.generateTournamentId(),
+      name,
+      format,
+      gameType,
+      seats,
+      tableSize: isScheduled ? req.body.tableSize || 6 : seats,
+      minEntries: isScheduled ? minEntries : seats,
+      scheduledStart: isScheduled ? scheduledStart : null,
+      registrationOpensAt: isScheduled ? registrationOpensAt : null,
+      lateRegistrationLevels: isScheduled ? lateRegistrationLevels : 0,
+      buyIn,
+      fee,
+      startingStack,
+      levelMinutes,
+      levels,
+      prizes,
+      createdBy: req.user._id
+    });
+    await tournament.save();
+
+    if (isScheduled) {
+      scheduleTournamentTimer(tournament);
+    }
+
+    res.status(201).json({
+      message: 'Tournament created successfully',
+      tournament: formatTournament(tournament)
+    });
+
+  } catch (error) {
+    console.error('Tournament create error:', error);
+    res.status(500).json({ message: 'Failed to create tournament' });
+  }
+});
+
+// Register for a tournament; the buy-in and fee come out of the wallet. The last seat taken
+// starts a sit-and-go; a late registrant of a scheduled tournament is seated straight away.
+router.post('/:tournamentId/register', authenticateToken, requireNotInGame, logActivity('register_tournament'), async (req, res) => {
+  try {
+    const found = await Tournament.findOne({ tournamentId: req.params.tournamentId });
+    if (!found) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const cost = found.buyIn + found.fee;
+    if (req.user.chips < cost) {
+      return res.status(400).json({
+        message: 'Insufficient chips to register',
+        required: cost,
+        current: req.user.chips
+      });
+    }
+
+    // Tables settling hands update the same entries, so registering waits its turn
+    const registration = await Tournament.withLock(found._id, async (tournament) => ({
+      tournament,
+      game: await tournament.register(req.user._id)
+    }));
+    let { tournament, game } = registration;
+
+    if (game) {
+      ensureGameTimers(game);
+      announceTournamentUpdate(tournament._id);
+    } else if (tournament.format === 'sit_and_go' && tournament.entries.length === tournament.seats) {
+      ({ tournament, tables: [game] } = await startTournament(tournament));
+    }
+
+    res.json({
+      message: game ? 'Registered; your table is ready' : 'Registered successfully',
+      tournament: formatTournament(tournament),
+      gameId: game ? game.gameId : null
+    });
+
+  } catch (error) {
+    console.error('Tournament register error:', error);
+    if (['Registration is closed', 'Registration is not open yet', 'Already registered', 'Tournament is full', 'Insufficient balance'].includes(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to register for tournament' });
+  }
+});
+
+// Unregister before the tournament starts; the buy-in and fee are refunded
+router.post('/:tournamentId/unregister', authenticateToken, logActivity('unregister_tournament'), async (req, res) => {
+  try {
+    const found = await Tournament.findOne({ tournamentId: req.params.tournamentId });
+    if (!found) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.withLock(found._id, current => current.unregister(req.user._id));
+
+    res.json({
+      message: 'Unregistered; your buy-in has been refunded',
+      tournament: formatTournament(tournament)
+    });
+
+  } catch (error) {
+    console.error('Tournament unregister error:', error);
+    if (['Registration is closed', 'Not registered'].includes(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to unregister from tournament' });
+  }
+});
+
+// Cancel a tournament that has not started and refund everyone (admin only)
+router.post('/:tournamentId/cancel', authenticateToken, requireAdmin, logActivity('cancel_tournament'), async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ tournamentId: req.params.tournamentId });
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    await tournament.cancel();
+    announceTournamentUpdate(tournament._id);
+
+    res.json({
+      message: 'Tournament cancelled; all buy-ins have been refunded',
+      tournament: formatTournament(tournament)
+    });
+
+  } catch (error) {
+    console.error('Tournament cancel error:', error);
+    if (error.message.includes('has not started')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to cancel tournament' });
+  }
+});
+
+// Standings: players still in by chip count, then everyone out by finishing position
+router.get('/:tournamentId/standings', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ tournamentId: req.params.tournamentId })
+      .populate('entries.user', 'username avatar');
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const tables = await Game.find({ _id: { $in: tournament.tables } });
+
+    res.json(tournament.getUpdate(tables));
+
+  } catch (error) {
+    console.error('Tournament standings error:', error);
+    res.status(500).json({ message: 'Failed to fetch standings' });
+  }
+});
+
+// Get tournament details
+router.get('/:tournamentId', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ tournamentId: req.params.tournamentId })
+      .populate('entries.user', 'username avatar')
+      .populate('tables', 'gameId status handNumber players');
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    res.json({
+      tournament: {
+        ...formatTournament(tournament),
+        tables: tournament.tables
+          .filter(table => ['waiting', 'active'].includes(table.status))
+          .map(table => ({ gameId: table.gameId, status: table.status, players: table.players.length })),
+        players: tournament.entries.map(entry => ({
+          userId: entry.user._id,
+          username: entry.user.username,
+          avatar: entry.user.avatar,
+          status: entry.status,
+          finishPosition: entry.finishPosition,
+          prize: entry.prize
+        })),
+        isRegistered: Boolean(tournament.getEntry(req.user._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Tournament details error:', error);
+    res.status(500).json({ message: 'Failed to fetch tournament' });
+  }
+});
+
+module.exports = router;
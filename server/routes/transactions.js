@@ -12,7 +12,8 @@ router.get('/history', authenticateToken, [
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('type').optional().isIn([
     'game_win', 'game_loss', 'transfer_send', 'transfer_receive', 
-    'admin_add', 'admin_deduct', 'commission_deduct', 'registration_bonus', 'refund'
+    'admin_add', 'admin_deduct', 'commission_deduct', 'boot', 'registration_bonus', 'refund',
+    'buy_in', 'cash_out', 'tournament_buy_in', 'tournament_prize', 'tournament_fee'
   ]).withMessage('Invalid transaction type')
 ], async (req, res) => {
   try {
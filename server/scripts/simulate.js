@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+// Headless table simulator: plays seeded hands through the engine and checks that no chips
+// are created or lost between the players' balances, the pots, the commission and the ledger.
+//
+// Usage: npm run simulate -- [--hands 1000] [--players 4] [--seed demo] [--chips 1000]
+//   [--boot 10] [--max-bet 160] [--variant classic|joker|muflis|ak47|mixed]
+//   [--pot-limit N] [--blind-rounds N] [--commission 0.03] [--commission-cap N]
+//   [--commission-exemptions no_bet,no_showdown] [--json]
+//
+// Exits with status 1 when any invariant is violated, or when the engine turns down more
+// than a few of the simulated players' actions (they only choose legal ones).
+
+const engine = require('../engine');
+const provablyFair = require('../utils/provablyFair');
+const { HAND_RANKS } = require('../utils/handEvaluator');
+
+const VARIANTS = ['classic', 'joker', 'muflis', 'ak47'];
+
+// Any hand needing more actions than this is treated as stuck
+const MAX_ACTIONS_PER_HAND = 1000;
+
+// Keep the report readable when something goes badly wrong
+const MAX_REPORTED_VIOLATIONS = 20;
+
+// Share of actions the engine may reject before the run counts as failed
+const MAX_REJECTED_SHARE = 0.01;
+
+const DEFAULTS = {
+  hands: 1000,
+  players: 4,
+  seed: 'teen-patti',
+  chips: 1000,
+  boot: 10,
+  maxBet: 160,
+  variant: 'classic',
+  potLimit: null,
+  blindRounds: null,
+  commission: engine.DEFAULT_COMMISSION_RATE,
+  commissionCap: null,
+  commissionExemptions: '',
+  json: false
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS };
+  const numeric = ['hands', 'players', 'chips', 'boot', 'maxBet', 'potLimit', 'blindRounds', 'commission', 'commissionCap'];
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    if (key === 'json') {
+      options.json = true;
+      continue;
+    }
+
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${argv[i - 1]}`);
+    }
+
+    options[key] = numeric.includes(key) ? Number(value) : value;
+    if (numeric.includes(key) && !Number.isFinite(options[key])) {
+      throw new Error(`${argv[i - 1]} must be a number`);
+    }
+  }
+
+  if (options.players < 2 || options.players > 6) {
+    throw new Error('--players must be between 2 and 6');
+  }
+  if (options.variant !== 'mixed' && !VARIANTS.includes(options.variant)) {
+    throw new Error(`--variant must be one of ${[...VARIANTS, 'mixed'].join(', ')}`);
+  }
+  if (options.boot > options.maxBet) {
+    throw new Error('--boot cannot be more than --max-bet');
+  }
+
+  options.commissionExemptions = options.commissionExemptions.split(',').filter(Boolean);
+  const unknownExemption = options.commissionExemptions.find(e => !engine.COMMISSION_EXEMPTIONS.includes(e));
+  if (unknownExemption) {
+    throw new Error(`--commission-exemptions must be from ${engine.COMMISSION_EXEMPTIONS.join(', ')}`);
+  }
+
+  return options;
+};
+
+const createTable = (options) => ({
+  gameType: options.variant === 'mixed' ? VARIANTS[0] : options.variant,
+  status: 'waiting',
+  isPersistent: true,
+  minBet: options.boot,
+  maxBet: options.maxBet,
+  bootAmount: options.boot,
+  potLimit: options.potLimit,
+  maxBlindRounds: options.blindRounds,
+  handNumber: 0,
+  dealerIndex: 0,
+  currentPlayerIndex: 0,
+  currentBet: 0,
+  pot: 0,
+  round: 1,
+  deck: [],
+  jokerCard: null,
+  sideShow: null,
+  winner: null,
+  winners: [],
+  winningHand: null,
+  players: Array.from({ length: options.players }, (value, index) => ({
+    id: `sim-${index + 1}`,
+    username: `Sim ${index + 1}`,
+    chips: options.chips,
+    position: index,
+    cards: [],
+    isPlaying: true,
+    isFolded: false,
+    isBlind: true,
+    currentBet: 0,
+    totalBet: 0,
+    isAllIn: false,
+    isSittingOut: false,
+    lastAction: null
+  })),
+  history: []
+});
+
+// Pick a legal action for the player to act, leaning on hand strength once they have seen.
+// Shows, side shows and raises are only chosen when the table and the bet limits allow them.
+const chooseAction = (state, rng) => {
+  if (state.sideShow) {
+    return { type: 'side_show_response', playerId: state.sideShow.target, accept: rng(2) === 0 };
+  }
+
+  const { rules } = engine;
+  const player = state.players[state.currentPlayerIndex];
+  const strength = HAND_RANKS.indexOf(player.handRank);
+  const limits = rules.getBetLimits(state, player);
+  const inHand = rules.getPlayersInHand(state).length;
+  const previous = state.players[rules.getPreviousInHandIndex(state, state.currentPlayerIndex)];
+  const canSideShow = !player.isBlind && inHand >= 3 && !previous.isBlind && player.chips >= limits.call &&
+    !(state.potLimit && state.pot + limits.call >= state.potLimit);
+  const canRaise = Boolean(limits.maxRaise) && player.chips >= limits.minRaise;
+  const roll = rng(100);
+
+  if (rng(50) === 0) {
+    return { type: 'timeout' };
+  }
+  if (player.isBlind && roll < 30) {
+    return { type: 'see', playerId: player.id };
+  }
+  // Seen players give up more often the weaker their hand, so most hands end before a showdown
+  if (!player.isBlind && rng(100) < 40 - strength * 8) {
+    return { type: 'fold', playerId: player.id };
+  }
+  if (roll < 10 && inHand === 2) {
+    return { type: 'show', playerId: player.id };
+  }
+  if (roll < 20 && canSideShow) {
+    return { type: 'side_show', playerId: player.id };
+  }
+  // Raise by the least most of the time, or anywhere up to the limit with a strong seen hand
+  if (roll < 35 && canRaise) {
+    const multiplier = rules.getStakeMultiplier(player);
+    const steps = Math.floor((Math.min(limits.maxRaise, player.chips) - limits.minRaise) / multiplier);
+    const extra = !player.isBlind && strength >= 3 ? rng(steps + 1) : 0;
+    return { type: 'raise', playerId: player.id, amount: limits.minRaise + extra * multiplier };
+  }
+  return { type: player.isBlind ? 'blind' : 'call', playerId: player.id };
+};
+
+const sumChips = (players) => players.reduce((sum, p) => sum + p.chips, 0);
+
+// The ledger view of each player's balance, moved only by the events the adapters persist
+const applyToLedger = (ledger, events) => {
+  events.forEach(event => {
+    if (event.type === 'boot' || event.type === 'bet') {
+      ledger.set(event.playerId, ledger.get(event.playerId) - event.amount);
+    }
+    if (event.type === 'hand_ended') {
+      event.pots.forEach(pot => {
+        pot.winners.filter(w => w.amount > 0).forEach(w => {
+          ledger.set(w.playerId, ledger.get(w.playerId) + w.amount);
+        });
+      });
+    }
+  });
+};
+
+// Invariants that must hold after every step of a hand
+const checkStep = (state, chipsAtStart, commission) => {
+  const problems = [];
+  const totalBets = state.players.reduce((sum, p) => sum + p.totalBet, 0);
+
+  if (state.players.some(p => p.chips < 0)) {
+    problems.push('a player has negative chips');
+  }
+  if (state.status === 'active' && state.pot !== totalBets) {
+    problems.push(`pot ${state.pot} does not match total bets ${totalBets}`);
+  }
+
+  const inPlay = state.status === 'active' ? state.pot : 0;
+  if (sumChips(state.players) + inPlay + commission !== chipsAtStart) {
+    problems.push(`chips not conserved: ${sumChips(state.players)} + pot ${inPlay} + commission ${commission} != ${chipsAtStart}`);
+  }
+
+  return problems;
+};
+
+// Invariants on the settlement of a finished hand
+const checkSettlement = (state, event, { commission: commissionRate, commissionCap }) => {
+  const problems = [];
+  const potTotal = event.pots.reduce((sum, pot) => sum + pot.amount, 0);
+  const paidOut = event.pots.reduce((sum, pot) => sum + pot.winners.reduce((s, w) => s + w.amount, 0), 0);
+
+  if (potTotal !== state.pot) {
+    problems.push(`pots add up to ${potTotal} but the pot was ${state.pot}`);
+  }
+  if (paidOut + event.commission !== state.pot) {
+    problems.push(`paid ${paidOut} plus commission ${event.commission} != pot ${state.pot}`);
+  }
+  if (event.commission > Math.floor(state.pot * commissionRate)) {
+    problems.push(`commission ${event.commission} is above ${commissionRate} of the pot`);
+  }
+  if (commissionCap && event.commission > commissionCap) {
+    problems.push(`commission ${event.commission} is above the cap of ${commissionCap}`);
+  }
+  if (event.commissionExemption && event.commission > 0) {
+    problems.push(`commission ${event.commission} taken on a hand exempt by ${event.commissionExemption}`);
+  }
+  event.pots.forEach(pot => {
+    if (pot.isUncalled && pot.commission > 0) {
+      problems.push(`commission taken on the uncalled ${pot.name} pot`);
+    }
+    if (pot.winners.length === 0) {
+      problems.push(`${pot.name} pot has no winner`);
+    }
+  });
+
+  return problems;
+};
+
+const simulate = (options) => {
+  const decisions = provablyFair.createRng(options.seed, 'decisions', 0);
+  const commissionOptions = {
+    commissionRate: options.commission,
+    commissionCap: options.commissionCap,
+    commissionExemptions: options.commissionExemptions
+  };
+  const chipsAtStart = options.players * options.chips;
+  const ledger = new Map();
+  const report = {
+    options,
+    handsPlayed: 0,
+    stoppedEarly: null,
+    chips: { start: chipsAtStart, end: 0, commission: 0, ledger: 0, discrepancy: 0 },
+    actions: { applied: 0, rejected: 0, rejections: {} },
+    handRanks: {},
+    winningRanks: {},
+    showdowns: 0,
+    splitPots: 0,
+    sidePots: 0,
+    violationCount: 0,
+    violations: []
+  };
+
+  let state = createTable(options);
+  state.players.forEach(p => ledger.set(p.id, p.chips));
+
+  const violation = (hand, message) => {
+    report.violationCount += 1;
+    if (report.violations.length < MAX_REPORTED_VIOLATIONS) {
+      report.violations.push({ hand, message });
+    }
+  };
+
+  // Check and count a hand's settlement, whether it came from an action or from the deal
+  // itself (when the boots leave nobody able to bet)
+  const recordSettlement = (hand, result) => {
+    const ended = result.events.find(e => e.type === 'hand_ended');
+    if (!ended) {
+      return;
+    }
+
+    checkSettlement(result.state, ended, options).forEach(message => violation(hand, message));
+    report.chips.commission += ended.commission;
+    report.sidePots += ended.pots.length - 1;
+    report.splitPots += ended.pots.filter(pot => pot.winners.length > 1).length;
+    if (result.state.history.some(h => h.action === 'showdown' || h.action === 'show')) {
+      report.showdowns += 1;
+    }
+    report.winningRanks[result.state.winningHand] = (report.winningRanks[result.state.winningHand] || 0) + 1;
+  };
+
+  for (let hand = 1; hand <= options.hands; hand++) {
+    if (options.variant === 'mixed') {
+      state.gameType = VARIANTS[(hand - 1) % VARIANTS.length];
+    }
+
+    let result;
+    try {
+      result = engine.startHand(state, {
+        rng: provablyFair.createRng(options.seed, 'deal', hand),
+        ...commissionOptions
+      });
+    } catch (error) {
+      if (!(error instanceof engine.RuleError)) throw error;
+      report.stoppedEarly = `Hand ${hand}: ${error.message}`;
+      break;
+    }
+
+    recordSettlement(hand, result);
+    state = result.state;
+    applyToLedger(ledger, result.events);
+    report.handsPlayed += 1;
+
+    state.players.filter(p => p.isPlaying).forEach(p => {
+      const label = engine.rules.getHandLabel(state, p);
+      report.handRanks[label] = (report.handRanks[label] || 0) + 1;
+    });
+
+    let actions = 0;
+    while (state.status === 'active') {
+      if (++actions > MAX_ACTIONS_PER_HAND) {
+        violation(hand, `hand did not finish within ${MAX_ACTIONS_PER_HAND} actions`);
+        break;
+      }
+
+      const action = chooseAction(state, decisions);
+      try {
+        result = engine.applyAction(state, action, commissionOptions);
+      } catch (error) {
+        if (!(error instanceof engine.RuleError)) throw error;
+        report.actions.rejected += 1;
+        report.actions.rejections[error.message] = (report.actions.rejections[error.message] || 0) + 1;
+        continue;
+      }
+
+      report.actions.applied += 1;
+      recordSettlement(hand, result);
+
+      state = result.state;
+      applyToLedger(ledger, result.events);
+      checkStep(state, chipsAtStart, report.chips.commission).forEach(message => violation(hand, message));
+    }
+
+    if (state.status === 'active') {
+      report.stoppedEarly = `Hand ${hand} was stuck`;
+      break;
+    }
+
+    // The ledger must agree with the engine on every balance
+    state.players.forEach(p => {
+      if (ledger.get(p.id) !== p.chips) {
+        violation(hand, `${p.username} has ${p.chips} chips but the ledger says ${ledger.get(p.id)}`);
+      }
+    });
+  }
+
+  report.chips.end = sumChips(state.players);
+  report.chips.ledger = [...ledger.values()].reduce((sum, chips) => sum + chips, 0);
+  report.chips.discrepancy = chipsAtStart - report.chips.end - report.chips.commission;
+  if (report.chips.discrepancy !== 0) {
+    violation(report.handsPlayed, `${report.chips.discrepancy} chips unaccounted for at the end`);
+  }
+
+  const { applied, rejected } = report.actions;
+  if (rejected > (applied + rejected) * MAX_REJECTED_SHARE) {
+    violation(report.handsPlayed, `the engine rejected ${rejected} of ${applied + rejected} chosen actions`);
+  }
+
+  return report;
+};
+
+const printDistribution = (title, counts) => {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  console.log(`\n${title}`);
+  Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([label, count]) => {
+      console.log(`  ${label.padEnd(24)} ${String(count).padStart(8)}  ${(count / total * 100).toFixed(2)}%`);
+    });
+};
+
+const printReport = (report) => {
+  const { options, chips } = report;
+
+  console.log(`Simulated ${report.handsPlayed} of ${options.hands} hands: ${options.players} players, ` +
+    `${options.variant}, seed "${options.seed}"`);
+  if (report.stoppedEarly) {
+    console.log(`Stopped early - ${report.stoppedEarly}`);
+  }
+
+  console.log('\nChips');
+  console.log(`  start       ${chips.start}`);
+  console.log(`  end         ${chips.end}`);
+  console.log(`  ledger      ${chips.ledger}`);
+  console.log(`  commission  ${chips.commission}`);
+  console.log(`  unaccounted ${chips.discrepancy}`);
+
+  console.log(`\nActions applied ${report.actions.applied}, rejected ${report.actions.rejected}`);
+  Object.entries(report.actions.rejections).forEach(([reason, count]) => {
+    console.log(`  ${reason}: ${count}`);
+  });
+  console.log(`Showdowns ${report.showdowns}, side pots ${report.sidePots}, split pots ${report.splitPots}`);
+
+  printDistribution('Dealt hands', report.handRanks);
+  printDistribution('Winning hands', report.winningRanks);
+
+  console.log(`\nInvariant violations: ${report.violationCount}`);
+  report.violations.forEach(v => console.log(`  hand ${v.hand}: ${v.message}`));
+};
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  const report = simulate(options);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  process.exit(report.violationCount > 0 ? 1 : 0);
+}
+
+module.exports = { simulate };
@@ -2,10 +2,28 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Game = require('../models/Game');
 const Transaction = require('../models/Transaction');
+const Hand = require('../models/Hand');
+const Tournament = require('../models/Tournament');
+const TableTemplate = require('../models/TableTemplate');
+const engine = require('../engine');
+const botStrategy = require('../bots/strategy');
 
 // Store active games and rooms
 const activeGames = new Map();
 const userSockets = new Map();
+const sideShowTimers = new Map();
+const turnTimers = new Map();
+const nextHandTimers = new Map();
+const botTimers = new Map();
+// tournamentId -> timer for the scheduled start or the next level
+const tournamentTimers = new Map();
+// gameId -> Map of userId -> socket for everyone watching without a seat
+const spectators = new Map();
+
+// How long a bot takes to act, capped well inside the turn timer
+const BOT_THINK_MS = { min: 1000, max: 3000 };
+// How often to top up each table template's open tables
+const TEMPLATE_TABLE_CHECK_MS = 60 * 1000;
 
 // Socket authentication middleware
 const authenticateSocket = async (socket, next) => {
@@ -43,15 +61,18 @@ const joinGameRoom = async (socket, gameId) => {
       return;
     }
 
-    // Check if user is in this game
-    const playerInGame = game.players.find(p => p.user._id.toString() === socket.userId);
+    // Check if user is in this game, or queued to sit down at its next hand
+    const playerInGame = game.players.find(p => p.user._id.toString() === socket.userId) ||
+      game.pendingSeats.find(s => s.user.toString() === socket.userId);
     if (!playerInGame) {
       socket.emit('error', { message: 'You are not in this game' });
       return;
     }
 
+    leaveSpectating(socket);
     socket.join(gameId);
     socket.currentGameId = gameId;
+    ensureGameTimers(game);
 
     // Update user's socket ID and current game
     await User.findByIdAndUpdate(socket.userId, {
@@ -69,8 +90,8 @@ const joinGameRoom = async (socket, gameId) => {
       message: 'Successfully joined game'
     });
 
-    // Notify other players
-    socket.to(gameId).emit('player_joined', {
+    // Notify other players and anyone watching
+    socket.to(gameId).to(spectatorRoom(gameId)).emit('player_joined', {
       player: {
         id: socket.userId,
         username: socket.user.username,
@@ -84,19 +105,137 @@ const joinGameRoom = async (socket, gameId) => {
   }
 };
 
+// Spectators share a room of their own so their chat never reaches the players
+const spectatorRoom = (gameId) => `spectators_${gameId}`;
+
+const getSpectatorCount = (gameId) => (spectators.get(gameId) || new Map()).size;
+
+// Watch a table without a seat. Spectators get the same view as an opponent: every
+// hand stays hidden until it is shown. credentials are a private table's invite code or password.
+const spectateGameRoom = async (socket, gameId, credentials) => {
+  try {
+    const game = await Game.findOne({ gameId }).populate('players.user', 'username avatar chips');
+    if (!game) {
+      socket.emit('error', { message: 'Game not found' });
+      return;
+    }
+
+    const spectateError = await game.getSpectateError(socket.userId, credentials);
+    if (spectateError) {
+      socket.emit('error', { message: spectateError });
+      return;
+    }
+
+    leaveSpectating(socket);
+    socket.join(spectatorRoom(gameId));
+    socket.spectatingGameId = gameId;
+
+    if (!spectators.has(gameId)) {
+      spectators.set(gameId, new Map());
+    }
+    spectators.get(gameId).set(socket.userId, socket);
+
+    socket.emit('spectating', {
+      game: formatGameForClient(game, null),
+      spectatorCount: getSpectatorCount(gameId)
+    });
+    announceSpectatorCount(socket, gameId);
+
+  } catch (error) {
+    console.error('Spectate game error:', error);
+    socket.emit('error', { message: 'Failed to spectate game' });
+  }
+};
+
+// Stop watching whatever table the socket is spectating
+const leaveSpectating = (socket) => {
+  const gameId = socket.spectatingGameId;
+  if (!gameId) {
+    return;
+  }
+
+  socket.leave(spectatorRoom(gameId));
+  socket.spectatingGameId = null;
+
+  const watchers = spectators.get(gameId);
+  if (watchers && watchers.get(socket.userId) === socket) {
+    watchers.delete(socket.userId);
+    if (watchers.size === 0) {
+      spectators.delete(gameId);
+    }
+  }
+
+  announceSpectatorCount(socket, gameId);
+};
+
+const announceSpectatorCount = (socket, gameId) => {
+  socket.to(gameId).to(spectatorRoom(gameId)).emit('spectator_count', {
+    gameId,
+    count: getSpectatorCount(gameId)
+  });
+};
+
+// Send everyone watching a table an event along with the spectator view of the game
+const emitToSpectators = (game, event, payload, withState = true) => {
+  const watchers = spectators.get(game.gameId);
+  if (!watchers) {
+    return;
+  }
+
+  const data = withState ? { ...payload, gameState: formatGameForClient(game, null) } : payload;
+  watchers.forEach(socket => socket.emit(event, data));
+};
+
+// Send every spectator away, e.g. when the host turns spectating off or the game is over
+const closeSpectating = (game, message) => {
+  const watchers = spectators.get(game.gameId);
+  if (!watchers) {
+    return;
+  }
+
+  watchers.forEach(socket => {
+    socket.emit('spectating_closed', { gameId: game.gameId, message });
+    socket.leave(spectatorRoom(game.gameId));
+    socket.spectatingGameId = null;
+  });
+  spectators.delete(game.gameId);
+
+  game.players.forEach(player => {
+    const socket = userSockets.get(player.user._id.toString());
+    if (socket) {
+      socket.emit('spectator_count', { gameId: game.gameId, count: 0 });
+    }
+  });
+};
+
 // Format game data for client (hide cards of other players)
 const formatGameForClient = (game, userId) => {
   const gameData = game.toObject();
   
-  // Hide other players' cards
+  // Hide other players' cards, and the user's own cards while they play blind
   gameData.players = gameData.players.map(player => {
-    if (player.user._id.toString() !== userId) {
+    // Only the public profile goes out: a populated user also carries the password hash,
+    // email and reset tokens
+    player.user = { _id: player.user._id, username: player.user.username, avatar: player.user.avatar };
+
+    const isOwn = player.user._id.toString() === userId;
+    if (!isOwn || (player.isBlind && game.status === 'active')) {
       // Hide cards but show card count
       player.cards = new Array(player.cards.length).fill({ hidden: true });
+      delete player.handRank;
+      delete player.handValue;
+      delete player.usedWild;
     }
     return player;
   });
 
+  // Variant details so the client can highlight wild cards
+  gameData.wildRanks = game.getWildRanks();
+
+  // Chips the user may put in on their turn
+  const userPlayer = game.players.find(p => p.user._id.toString() === userId);
+  gameData.betLimits = userPlayer ? game.getBetLimits(userPlayer) : null;
+
   return gameData;
 };
 
@@ -104,7 +243,7 @@ const formatGameForClient = (game, userId) => {
 const handleGameAction = async (socket, data) => {
   try {
     const { gameId, action, amount = 0 } = data;
-    
+
     const game = await Game.findOne({ gameId }).populate('players.user');
     if (!game) {
       socket.emit('error', { message: 'Game not found' });
@@ -117,37 +256,20 @@ const handleGameAction = async (socket, data) => {
       return;
     }
 
-    const player = game.players[playerIndex];
-    
-    // Check if it's player's turn
-    if (game.currentPlayerIndex !== playerIndex) {
-      socket.emit('error', { message: 'Not your turn' });
+    ensureGameTimers(game);
+
+    // Client seeds only feed the shuffle, so they never reach the rules engine
+    if (action === 'client_seed') {
+      await handleClientSeed(socket, game, playerIndex, data.seed);
       return;
     }
 
-    // Validate action based on game state
-    switch (action) {
-      case 'fold':
-        await handleFold(socket, game, playerIndex);
-        break;
-      case 'call':
-        await handleCall(socket, game, playerIndex);
-        break;
-      case 'raise':
-        await handleRaise(socket, game, playerIndex, amount);
-        break;
-      case 'check':
-        await handleCheck(socket, game, playerIndex);
-        break;
-      case 'show':
-        await handleShow(socket, game, playerIndex);
-        break;
-      case 'blind':
-        await handleBlind(socket, game, playerIndex);
-        break;
-      default:
-        socket.emit('error', { message: 'Invalid action' });
-    }
+    await dispatchAction(game, {
+      type: action,
+      playerId: socket.userId,
+      amount,
+      accept: data.accept === true
+    }, socket);
 
   } catch (error) {
     console.error('Game action error:', error);
@@ -155,277 +277,816 @@ const handleGameAction = async (socket, data) => {
   }
 };
 
-// Handle fold action
-const handleFold = async (socket, game, playerIndex) => {
+// Handle a player's client seed for the next shuffle
+const handleClientSeed = async (socket, game, playerIndex, seed) => {
   const player = game.players[playerIndex];
-  player.isFolded = true;
-  player.isPlaying = false;
-  player.lastAction = 'fold';
 
-  game.addToHistory('fold', player.user._id, 0, `${player.user.username} folded`);
+  if (game.status !== 'waiting') {
+    socket.emit('error', { message: 'Client seeds can only be set before the deal' });
+    return;
+  }
 
-  // Check if only one player remains
-  const activePlayers = game.players.filter(p => !p.isFolded && p.isPlaying);
-  if (activePlayers.length === 1) {
-    await endGame(game, activePlayers[0]);
-  } else {
-    // Move to next player
-    moveToNextPlayer(game);
-    await game.save();
+  if (typeof seed !== 'string' || seed.length < 1 || seed.length > 64) {
+    socket.emit('error', { message: 'Client seed must be between 1 and 64 characters' });
+    return;
   }
 
-  // Broadcast action to all players in the game
-  socket.to(game.gameId).emit('player_action', {
+  game.setClientSeed(player.user._id, seed);
+  await game.save();
+
+  broadcastToGame(game, 'client_seed_set', {
     playerId: socket.userId,
-    action: 'fold',
-    gameState: formatGameForClient(game, socket.userId)
+    serverSeedHash: game.fairness.serverSeedHash
   });
 };
 
-// Handle call action
-const handleCall = async (socket, game, playerIndex) => {
-  const player = game.players[playerIndex];
-  const user = await User.findById(player.user._id);
+// Run an action through the engine, then persist and announce the result. Rule violations
+// go back to the acting socket; timer-driven and bot actions have none. Returns whether
+// the rules accepted the action.
+const dispatchAction = async (game, action, socket = null) => {
+  let result;
+  try {
+    result = engine.applyAction(game.toEngineState(), action, game.getCommissionOptions());
+  } catch (error) {
+    if (!(error instanceof engine.RuleError)) {
+      throw error;
+    }
+    if (socket) {
+      socket.emit('error', { message: error.message });
+    }
+    return false;
+  }
 
-  const callAmount = game.currentBet - player.currentBet;
-  
-  if (user.chips < callAmount) {
-    socket.emit('error', { message: 'Insufficient chips to call' });
-    return;
+  const { state, events } = result;
+  const hasEvent = (type) => events.some(e => e.type === type);
+
+  // Bets come out of the table stacks, which the engine state carries
+  game.applyEngineState(state);
+
+  if (hasEvent('side_show_requested')) {
+    const requestedAt = new Date();
+    game.sideShow.requestedAt = requestedAt;
+    game.sideShow.expiresAt = new Date(requestedAt.getTime() + game.timeLimit * 1000);
   }
 
-  // Deduct chips from user
-  await user.updateChips(callAmount, 'subtract');
-  
-  player.currentBet += callAmount;
-  player.totalBet += callAmount;
-  player.lastAction = 'call';
-  game.pot += callAmount;
+  if (hasEvent('turn_started') && game.status === 'active') {
+    game.autoFoldTimer = new Date(Date.now() + game.timeLimit * 1000);
+  }
 
-  game.addToHistory('call', player.user._id, callAmount, `${player.user.username} called ${callAmount}`);
+  // Between hands, sitting in may bring the table up to two players (or sitting out below it)
+  if (game.status === 'waiting' && (action.type === 'sit_out' || (action.type === 'sit_in' && !game.nextHandAt))) {
+    game.scheduleNextHand();
+  }
+
+  const handEnded = events.find(e => e.type === 'hand_ended');
+  const settlement = handEnded ? await settleHand(game, handEnded) : null;
 
-  moveToNextPlayer(game);
   await game.save();
 
-  // Broadcast action
-  socket.to(game.gameId).emit('player_action', {
-    playerId: socket.userId,
-    action: 'call',
-    amount: callAmount,
-    gameState: formatGameForClient(game, socket.userId)
-  });
+  if (hasEvent('side_show_resolved') || game.status !== 'active') {
+    clearSideShowTimeout(game.gameId);
+  }
+  if (hasEvent('side_show_requested')) {
+    scheduleSideShowTimeout(game);
+  }
+  if (game.status !== 'active') {
+    clearTurnTimeout(game.gameId);
+  } else if (hasEvent('turn_started')) {
+    scheduleTurnTimeout(game);
+  }
+  if (game.status === 'waiting' && game.nextHandAt) {
+    scheduleNextHandTimeout(game);
+  }
+
+  announceEvents(game, events, settlement);
+  return true;
 };
 
-// Handle raise action
-const handleRaise = async (socket, game, playerIndex, raiseAmount) => {
-  const player = game.players[playerIndex];
-  const user = await User.findById(player.user._id);
+// Record a finished hand: every pot through the ledger, player stats, the hand record and
+// the revealed seed. Returns the players to tell and the game_ended payload.
+const settleHand = async (game, { pots, payouts, commission, commissionRate, commissionExemption }) => {
+  const payoutsById = new Map(payouts.map(payout => [payout.playerId, payout]));
+  const findStack = (playerId) => game.players.find(p => p.user._id.toString() === playerId).stack;
+
+  // The engine has paid the pots into the stacks; record one transaction per pot for each
+  // winner, with the stack as it stood after that pot
+  const stacks = new Map(payouts.map(payout => [payout.playerId, findStack(payout.playerId) - payout.amount]));
+  for (const pot of pots) {
+    for (const winner of pot.winners.filter(w => w.amount > 0)) {
+      const stackAfter = stacks.get(winner.playerId) + winner.amount;
+      stacks.set(winner.playerId, stackAfter);
+
+      if (pot.isUncalled) {
+        await Transaction.createTableTransaction({
+          type: 'refund',
+          userId: winner.playerId,
+          amount: winner.amount,
+          gameId: game._id,
+          stackAfter,
+          description: `Uncalled bet of ${winner.amount} chips returned in game ${game._id}`
+        });
+      } else {
+        await Transaction.createGameWinTransaction(winner.playerId, winner.amount, game._id, pot.amount, commissionRate, stackAfter);
+      }
+    }
+  }
 
-  if (raiseAmount < game.minBet || raiseAmount > game.maxBet) {
-    socket.emit('error', { message: `Raise amount must be between ${game.minBet} and ${game.maxBet}` });
-    return;
+  // Exempt hands and uncalled pots leave nothing to record
+  if (commission > 0) {
+    await Transaction.createCommissionTransaction(commission, game._id);
   }
 
-  const totalRequired = game.currentBet - player.currentBet + raiseAmount;
-  
-  if (user.chips < totalRequired) {
-    socket.emit('error', { message: 'Insufficient chips to raise' });
-    return;
+  // At a tournament table, players out of chips are knocked out (and the last one left wins)
+  const tournamentResult = game.tournament
+    ? await Tournament.withLock(game.tournament, tournament => tournament.recordHand(game))
+    : null;
+  let tableChanges = { moves: [], tables: [] };
+
+  const handPlayers = game.players.filter(p => p.cards.length > 0);
+  const leavesTable = (player) => !game.isPersistent || player.leaveAfterHand;
+
+  game.autoFoldTimer = null;
+  game.completedAt = new Date();
+
+  // Update all players' game stats
+  await Promise.all(handPlayers.map(async (player) => {
+    const user = await User.findById(player.user._id);
+    const payout = payoutsById.get(player.user._id.toString());
+    user.gamesPlayed += 1;
+
+    if (payout && payout.won) {
+      user.gamesWon += 1;
+      user.totalChipsWon += payout.amount;
+    } else {
+      user.totalChipsLost += player.totalBet - (payout ? payout.amount : 0);
+    }
+
+    if (leavesTable(player)) {
+      user.currentGameId = null;
+    }
+    await user.save();
+  }));
+
+  // Create loss transactions for other players
+  await Promise.all(handPlayers.map(async (player) => {
+    const payout = payoutsById.get(player.user._id.toString());
+    const lost = player.totalBet - (payout ? payout.amount : 0);
+    if (!(payout && payout.won) && lost > 0) {
+      await Transaction.createGameLossTransaction(player.user._id, lost, game._id, player.stack);
+    }
+  }));
+
+  // Keep this hand's history and settlement as its own record
+  await Hand.createFromGame(game, { commission, commissionExemption, pots, payouts: payoutsById });
+
+  // A single-hand game is over for everyone: stacks go back to the wallets
+  if (!game.isPersistent) {
+    for (const player of game.players) {
+      await game.cashOut(player);
+    }
   }
 
-  // Deduct chips from user
-  await user.updateChips(totalRequired, 'subtract');
-  
-  player.currentBet += totalRequired;
-  player.totalBet += totalRequired;
-  player.lastAction = 'raise';
-  game.currentBet += raiseAmount;
-  game.pot += totalRequired;
+  // Reveal the server seed so the shuffle can be verified; persistent tables commit the next one
+  const fairness = game.getFairnessRecord();
+  if (game.isPersistent) {
+    game.commitServerSeed();
+  } else {
+    game.fairness.revealed = true;
+  }
 
-  game.addToHistory('raise', player.user._id, totalRequired, `${player.user.username} raised by ${raiseAmount}`);
+  const seatedPlayers = [...game.players];
+  const winnerDetails = payouts.filter(p => p.won).map(payout => {
+    const player = seatedPlayers.find(p => p.user._id.toString() === payout.playerId);
+    return {
+      id: player.user._id,
+      username: player.user.username,
+      winnings: payout.amount,
+      handRank: game.getHandLabel(player),
+      cards: player.cards
+    };
+  });
 
-  moveToNextPlayer(game);
-  await game.save();
+  if (game.isPersistent) {
+    // Players who asked to leave go now that the hand is over
+    for (const player of seatedPlayers.filter(p => p.leaveAfterHand)) {
+      await User.findByIdAndUpdate(player.user._id, { currentGameId: null });
+      await game.removePlayer(player.user._id);
+    }
 
-  // Broadcast action
-  socket.to(game.gameId).emit('player_action', {
-    playerId: socket.userId,
-    action: 'raise',
-    amount: raiseAmount,
-    gameState: formatGameForClient(game, socket.userId)
+    // Tournament players queued for this table during the hand sit down now
+    if ((await game.seatPendingPlayers()).length > 0) {
+      await game.populate('players.user');
+    }
+
+    // Tournament tables are balanced, or broken up, between hands
+    if (game.tournament) {
+      tableChanges = await Tournament.withLock(game.tournament, tournament => tournament.balanceTables(game));
+    }
+
+    // Bots only keep people company; once no person is left they leave too
+    if (!game.players.some(p => !isBot(p))) {
+      for (const bot of [...game.players]) {
+        await User.findByIdAndUpdate(bot.user._id, { currentGameId: null });
+        await game.removePlayer(bot.user._id);
+      }
+    }
+
+    if (game.status === 'waiting') {
+      game.scheduleNextHand();
+    }
+  }
+
+  return {
+    seatedPlayers,
+    leavesTable,
+    tournamentId: game.tournament,
+    tableChanges,
+    payload: {
+      winner: winnerDetails[0],
+      winners: winnerDetails,
+      pots,
+      isSplit: pots.some(pot => pot.winners.length > 1),
+      commission,
+      commissionExemption,
+      finalPot: game.pot,
+      handNumber: game.handNumber,
+      nextHandAt: game.nextHandAt,
+      fairness,
+      nextServerSeedHash: game.isPersistent ? game.fairness.serverSeedHash : null,
+      tournament: tournamentResult,
+      gameHistory: game.gameHistory
+    }
+  };
+};
+
+// Tell the table about an engine result, event by event
+const announceEvents = (game, events, settlement) => {
+  const players = settlement ? settlement.seatedPlayers : game.players;
+  const findPlayer = (playerId) => players.find(p => p.user._id.toString() === playerId);
+  const emitTo = (playerId, event, payload) => {
+    const socket = userSockets.get(playerId);
+    if (socket) {
+      socket.emit(event, payload);
+    }
+  };
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'player_action': {
+        const { type, showdownIds, ...payload } = event;
+
+        // A show reveals both hands before the pot is settled
+        if (showdownIds) {
+          payload.hands = showdownIds.map(findPlayer).map(p => ({
+            playerId: p.user._id,
+            cards: p.cards,
+            handRank: game.getHandLabel(p)
+          }));
+        }
+
+        broadcastToGame(game, 'player_action', payload);
+        break;
+      }
+      case 'cards_seen': {
+        const player = findPlayer(event.playerId);
+        emitTo(event.playerId, 'cards_seen', {
+          cards: player.cards,
+          handRank: game.getHandLabel(player),
+          betLimits: game.getBetLimits(player),
+          forced: event.forced
+        });
+        break;
+      }
+      case 'side_show_requested':
+        emitTo(event.targetId, 'side_show_requested', {
+          gameId: game.gameId,
+          fromId: event.requesterId,
+          fromUsername: findPlayer(event.requesterId).user.username,
+          expiresAt: game.sideShow.expiresAt
+        });
+        scheduleBotSideShowResponse(game);
+        break;
+      case 'side_show_resolved': {
+        const { type, ...result } = event;
+
+        // Only the two players involved get to see both hands
+        if (event.accepted) {
+          const involved = [findPlayer(event.requesterId), findPlayer(event.targetId)];
+          involved.forEach(player => {
+            emitTo(player.user._id.toString(), 'side_show_cards', {
+              gameId: game.gameId,
+              loserId: event.loserId,
+              hands: involved.map(p => ({
+                playerId: p.user._id,
+                username: p.user.username,
+                cards: p.cards,
+                handRank: game.getHandLabel(p)
+              }))
+            });
+          });
+        }
+
+        broadcastToGame(game, 'side_show_result', result);
+        break;
+      }
+      case 'turn_started':
+        if (game.status === 'active') {
+          announceTurn(game);
+        }
+        break;
+      case 'hand_ended':
+        settlement.seatedPlayers.forEach(player => {
+          const socket = userSockets.get(player.user._id.toString());
+          if (socket) {
+            socket.emit('game_ended', settlement.payload);
+
+            // Remove from game room
+            if (settlement.leavesTable(player)) {
+              socket.leave(game.gameId);
+              socket.currentGameId = null;
+            }
+          }
+        });
+
+        emitToSpectators(game, 'game_ended', settlement.payload, false);
+        if (game.status !== 'active' && game.status !== 'waiting') {
+          closeSpectating(game, 'The game is over');
+        }
+
+        if (settlement.tournamentId) {
+          announceTableChanges(settlement.tableChanges);
+          announceTournamentUpdate(settlement.tournamentId);
+        }
+        break;
+      default:
+        break;
+    }
   });
 };
 
-// Handle check action
-const handleCheck = async (socket, game, playerIndex) => {
-  const player = game.players[playerIndex];
-  
-  if (game.currentBet > player.currentBet) {
-    socket.emit('error', { message: 'Cannot check - must call or raise' });
-    return;
-  }
+// Decline a side show automatically when the asked player runs out of time
+const scheduleSideShowTimeout = (game) => {
+  clearSideShowTimeout(game.gameId);
+
+  const requestedAt = game.sideShow.requestedAt.getTime();
+  const timer = setTimeout(async () => {
+    sideShowTimers.delete(game.gameId);
+    try {
+      const current = await Game.findOne({ gameId: game.gameId }).populate('players.user');
+      if (current && current.sideShow && current.sideShow.requestedAt &&
+          current.sideShow.requestedAt.getTime() === requestedAt) {
+        await dispatchAction(current, { type: 'timeout' });
+      }
+    } catch (error) {
+      console.error('Side show timeout error:', error);
+    }
+  }, game.timeLimit * 1000);
 
-  player.lastAction = 'check';
-  game.addToHistory('check', player.user._id, 0, `${player.user.username} checked`);
+  sideShowTimers.set(game.gameId, timer);
+};
 
-  moveToNextPlayer(game);
-  await game.save();
+const clearSideShowTimeout = (gameId) => {
+  const timer = sideShowTimers.get(gameId);
+  if (timer) {
+    clearTimeout(timer);
+    sideShowTimers.delete(gameId);
+  }
+};
 
-  // Broadcast action
-  socket.to(game.gameId).emit('player_action', {
-    playerId: socket.userId,
-    action: 'check',
-    gameState: formatGameForClient(game, socket.userId)
+// Send an event to every connected player, each with their own view of the game
+const broadcastToGame = (game, event, payload) => {
+  game.players.forEach(player => {
+    const userId = player.user._id.toString();
+    const socket = userSockets.get(userId);
+    if (socket) {
+      socket.emit(event, {
+        ...payload,
+        gameState: formatGameForClient(game, userId)
+      });
+    }
   });
+
+  emitToSpectators(game, event, payload);
 };
 
-// Handle show action (reveal cards)
-const handleShow = async (socket, game, playerIndex) => {
-  const player = game.players[playerIndex];
-  player.isBlind = false;
-  player.lastAction = 'show';
+// Tell everyone whose turn it is and when it runs out
+const announceTurn = (game) => {
+  const player = game.players[game.currentPlayerIndex];
+  const payload = {
+    gameId: game.gameId,
+    playerId: player.user._id,
+    deadline: game.autoFoldTimer,
+    timeLimit: game.timeLimit
+  };
+  game.players.forEach(p => {
+    const socket = userSockets.get(p.user._id.toString());
+    if (socket) {
+      socket.emit('turn_started', payload);
+    }
+  });
+  emitToSpectators(game, 'turn_started', payload, false);
 
-  game.addToHistory('show', player.user._id, 0, `${player.user.username} showed cards`);
+  if (isBot(player)) {
+    scheduleBotTurn(game);
+  }
+};
 
-  await game.save();
+// Arm the turn clock and tell the table a new hand has been dealt. events are those of
+// game.startGame: when the boots left nobody able to bet, the hand is settled right away.
+const announceHandStart = async (game, events = []) => {
+  const handEnded = events.find(e => e.type === 'hand_ended');
+  const settlement = handEnded ? await settleHand(game, handEnded) : null;
 
-  // Broadcast action
-  socket.to(game.gameId).emit('player_action', {
-    playerId: socket.userId,
-    action: 'show',
-    cards: player.cards,
-    handRank: player.handRank,
-    gameState: formatGameForClient(game, socket.userId)
+  if (settlement) {
+    await game.save();
+    if (game.status === 'waiting' && game.nextHandAt) {
+      scheduleNextHandTimeout(game);
+    }
+  } else {
+    scheduleTurnTimeout(game);
+  }
+
+  broadcastToGame(game, 'hand_started', {
+    handNumber: game.handNumber,
+    dealerIndex: game.dealerIndex,
+    serverSeedHash: game.fairness.serverSeedHash
   });
+
+  if (settlement) {
+    announceEvents(game, events, settlement);
+  } else {
+    announceTurn(game);
+  }
 };
 
-// Handle blind play action
-const handleBlind = async (socket, game, playerIndex) => {
-  const player = game.players[playerIndex];
-  const user = await User.findById(player.user._id);
+const isBot = (player) => Boolean(player.user && player.user.role === 'bot');
 
-  const blindAmount = game.minBet;
-  
-  if (user.chips < blindAmount) {
-    socket.emit('error', { message: 'Insufficient chips for blind bet' });
-    return;
+const getBotThinkTime = (game) =>
+  Math.min(BOT_THINK_MS.min + engine.deck.defaultRng(BOT_THINK_MS.max - BOT_THINK_MS.min), game.timeLimit * 500);
+
+const clearBotTimeout = (gameId) => {
+  const timer = botTimers.get(gameId);
+  if (timer) {
+    clearTimeout(timer);
+    botTimers.delete(gameId);
   }
+};
 
-  // Deduct chips from user
-  await user.updateChips(blindAmount, 'subtract');
-  
-  player.currentBet += blindAmount;
-  player.totalBet += blindAmount;
-  player.lastAction = 'blind';
-  player.isBlind = true;
-  game.pot += blindAmount;
+// Give the bot whose turn it is a moment to think, then let it act
+const scheduleBotTurn = (game) => {
+  clearBotTimeout(game.gameId);
+
+  const botId = game.players[game.currentPlayerIndex].user._id.toString();
+  const deadline = game.autoFoldTimer.getTime();
+  const timer = setTimeout(() => {
+    playBotTurn(game.gameId, botId, deadline);
+  }, getBotThinkTime(game));
+
+  botTimers.set(game.gameId, timer);
+};
+
+// A bot takes its turn through the same pipeline as a player's socket action
+const playBotTurn = async (gameId, botId, deadline) => {
+  botTimers.delete(gameId);
+
+  try {
+    const game = await Game.findOne({ gameId }).populate('players.user');
+
+    // The turn already moved on, or a side show is deciding it
+    if (!game || game.status !== 'active' || !game.autoFoldTimer ||
+        game.autoFoldTimer.getTime() !== deadline || (game.sideShow && game.sideShow.requester) ||
+        game.players[game.currentPlayerIndex].user._id.toString() !== botId) {
+      return;
+    }
+
+    const findBot = () => game.players.find(p => p.user._id.toString() === botId);
+    const personality = findBot().user.botPersonality;
+
+    let choice = botStrategy.chooseAction(game.toEngineState(), botId, personality);
+
+    // Seeing cards keeps the turn, so the bot decides again with its cards in view
+    if (choice.type === 'see') {
+      await dispatchAction(game, { type: 'see', playerId: botId });
+      choice = botStrategy.chooseAction(game.toEngineState(), botId, personality);
+    }
 
-  if (blindAmount > game.currentBet) {
-    game.currentBet = blindAmount;
+    // Fall back to the plainest move if the rules refuse the bot's choice
+    const candidates = [choice, { type: findBot().isBlind ? 'blind' : 'call' }, { type: 'fold' }];
+    for (const candidate of candidates) {
+      if (await dispatchAction(game, { ...candidate, playerId: botId })) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Bot turn error:', error);
   }
+};
 
-  game.addToHistory('blind', player.user._id, blindAmount, `${player.user.username} played blind for ${blindAmount}`);
+// A bot asked for a side show answers after a short pause
+const scheduleBotSideShowResponse = (game) => {
+  const target = game.players.find(p => p.user._id.toString() === game.sideShow.target.toString());
+  if (!target || !isBot(target)) {
+    return;
+  }
 
-  moveToNextPlayer(game);
-  await game.save();
+  clearBotTimeout(game.gameId);
+
+  const botId = target.user._id.toString();
+  const requestedAt = game.sideShow.requestedAt.getTime();
+  const timer = setTimeout(async () => {
+    botTimers.delete(game.gameId);
+    try {
+      const current = await Game.findOne({ gameId: game.gameId }).populate('players.user');
+      if (!current || !current.sideShow || !current.sideShow.requestedAt ||
+          current.sideShow.requestedAt.getTime() !== requestedAt) {
+        return;
+      }
 
-  // Broadcast action
-  socket.to(game.gameId).emit('player_action', {
-    playerId: socket.userId,
-    action: 'blind',
-    amount: blindAmount,
-    gameState: formatGameForClient(game, socket.userId)
-  });
+      const response = botStrategy.respondToSideShow(current.toEngineState(), botId, target.user.botPersonality);
+      await dispatchAction(current, { ...response, playerId: botId });
+    } catch (error) {
+      console.error('Bot side show error:', error);
+    }
+  }, getBotThinkTime(game));
+
+  botTimers.set(game.gameId, timer);
 };
 
-// Move to next active player
-const moveToNextPlayer = (game) => {
-  const activePlayers = game.players.filter(p => !p.isFolded && p.isPlaying);
-  if (activePlayers.length <= 1) return;
+// Arm the in-memory timer from the deadline stored on the game document
+const scheduleTurnTimeout = (game) => {
+  clearTurnTimeout(game.gameId);
 
-  let nextIndex = (game.currentPlayerIndex + 1) % game.players.length;
-  
-  // Find next active player
-  while (game.players[nextIndex].isFolded || !game.players[nextIndex].isPlaying) {
-    nextIndex = (nextIndex + 1) % game.players.length;
+  const deadline = game.autoFoldTimer.getTime();
+  const timer = setTimeout(() => {
+    handleTurnTimeout(game.gameId, deadline);
+  }, Math.max(0, deadline - Date.now()));
+
+  turnTimers.set(game.gameId, timer);
+};
+
+const clearTurnTimeout = (gameId) => {
+  const timer = turnTimers.get(gameId);
+  if (timer) {
+    clearTimeout(timer);
+    turnTimers.delete(gameId);
   }
-  
-  game.currentPlayerIndex = nextIndex;
 };
 
-// End game and distribute winnings
-const endGame = async (game, winner) => {
+// Re-arm timers for a game loaded from the database (after a restart, for example)
+const ensureGameTimers = (game) => {
+  if (game.status === 'active' && game.autoFoldTimer && !turnTimers.has(game.gameId)) {
+    scheduleTurnTimeout(game);
+  }
+
+  if (game.status === 'waiting' && game.nextHandAt && !nextHandTimers.has(game.gameId)) {
+    scheduleNextHandTimeout(game);
+  }
+};
+
+// Arm the timer that deals the next hand at a persistent table
+const scheduleNextHandTimeout = (game) => {
+  clearNextHandTimeout(game.gameId);
+
+  const startAt = game.nextHandAt.getTime();
+  const timer = setTimeout(() => {
+    startNextHand(game.gameId, startAt);
+  }, Math.max(0, startAt - Date.now()));
+
+  nextHandTimers.set(game.gameId, timer);
+};
+
+const clearNextHandTimeout = (gameId) => {
+  const timer = nextHandTimers.get(gameId);
+  if (timer) {
+    clearTimeout(timer);
+    nextHandTimers.delete(gameId);
+  }
+};
+
+// Deal the next hand at a persistent table: the dealer moves on and play restarts
+const startNextHand = async (gameId, startAt) => {
+  nextHandTimers.delete(gameId);
+
   try {
-    game.status = 'completed';
-    game.winner = winner.user._id;
-    game.winningHand = winner.handRank;
-    game.completedAt = new Date();
-
-    // Calculate commission (3% of total pot)
-    const commissionRate = parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 0.03;
-    const commission = Math.floor(game.pot * commissionRate);
-    const winnings = game.pot - commission;
-
-    // Update winner's chips and stats
-    const winnerUser = await User.findById(winner.user._id);
-    await winnerUser.updateChips(winnings, 'add');
-    
-    winnerUser.gamesWon += 1;
-    winnerUser.gamesPlayed += 1;
-    winnerUser.totalChipsWon += winnings;
-    await winnerUser.save();
-
-    // Update all players' game stats
-    await Promise.all(game.players.map(async (player) => {
-      const user = await User.findById(player.user._id);
-      user.gamesPlayed += 1;
-      
-      if (player.user._id.toString() !== winner.user._id.toString()) {
-        user.totalChipsLost += player.totalBet;
-      }
-      
-      user.currentGameId = null;
-      await user.save();
-    }));
+    const game = await Game.findOne({ gameId }).populate('players.user');
+    if (!game || game.status !== 'waiting' || !game.nextHandAt || game.nextHandAt.getTime() !== startAt) {
+      return;
+    }
 
-    // Create transaction records
-    await Transaction.createGameWinTransaction(winner.user._id, winnings, game._id, game.pot, commissionRate);
-    await Transaction.createCommissionTransaction(commission, game._id);
+    // Tournament players queued for a seat since the last hand sit down before the deal
+    if ((await game.seatPendingPlayers()).length > 0) {
+      await game.populate('players.user');
+    }
 
-    // Create loss transactions for other players
-    await Promise.all(game.players.map(async (player) => {
-      if (player.user._id.toString() !== winner.user._id.toString() && player.totalBet > 0) {
-        await Transaction.createGameLossTransaction(player.user._id, player.totalBet, game._id);
+    if (game.players.filter(p => !p.isSittingOut).length < 2) {
+      game.nextHandAt = null;
+      await game.save();
+      return;
+    }
+
+    const seatedIds = game.players.map(p => p.user._id.toString());
+    let events;
+
+    try {
+      events = await game.startGame();
+    } catch (error) {
+      if (!(error instanceof engine.RuleError)) {
+        throw error;
       }
-    }));
 
-    await game.save();
+      // Too few players could cover the boot; wait for someone to sit in
+      game.nextHandAt = null;
+      await game.save();
+      broadcastToGame(game, 'table_waiting', { message: error.message });
+      return;
+    }
 
-    // Broadcast game end to all players
-    game.players.forEach(player => {
-      const socket = userSockets.get(player.user._id.toString());
+    // Players who sat out too many hands in a row have lost their seat
+    seatedIds.filter(id => !game.players.some(p => p.user._id.toString() === id)).forEach(id => {
+      const socket = userSockets.get(id);
       if (socket) {
-        socket.emit('game_ended', {
-          winner: {
-            id: winner.user._id,
-            username: winnerUser.username,
-            winnings,
-            handRank: winner.handRank,
-            cards: winner.cards
-          },
-          commission,
-          finalPot: game.pot,
-          gameHistory: game.gameHistory
+        socket.emit('removed_from_table', {
+          gameId,
+          message: `You sat out ${game.maxMissedHands} hands in a row and lost your seat`
         });
-        
-        // Remove from game room
-        socket.leave(game.gameId);
+        socket.leave(gameId);
         socket.currentGameId = null;
       }
     });
 
+    await announceHandStart(game, events);
   } catch (error) {
-    console.error('End game error:', error);
+    console.error('Start next hand error:', error);
+  }
+};
+
+// The clock ran out on the current turn: the engine folds the player to act
+const handleTurnTimeout = async (gameId, deadline) => {
+  turnTimers.delete(gameId);
+
+  try {
+    const game = await Game.findOne({ gameId }).populate('players.user');
+
+    // The turn already moved on, or a side show is deciding it
+    if (!game || game.status !== 'active' || !game.autoFoldTimer ||
+        game.autoFoldTimer.getTime() !== deadline || (game.sideShow && game.sideShow.requester)) {
+      return;
+    }
+
+    await dispatchAction(game, { type: 'timeout' });
+  } catch (error) {
+    console.error('Turn timeout error:', error);
+  }
+};
+
+// Send players moved by table balancing to their new table; their sockets follow them
+const announceTableChanges = async ({ moves, tables }) => {
+  try {
+    for (const table of tables) {
+      await table.populate('players.user');
+      ensureGameTimers(table);
+    }
+
+    moves.forEach(move => {
+      const socket = userSockets.get(move.playerId);
+      if (socket) {
+        socket.emit('table_changed', move);
+        socket.leave(move.fromGameId);
+        joinGameRoom(socket, move.toGameId);
+      }
+    });
+  } catch (error) {
+    console.error('Table change error:', error);
+  }
+};
+
+// Send everyone in a tournament, still playing or not, and its tables' spectators the
+// latest clock, standings and tables
+const announceTournamentUpdate = async (tournamentId) => {
+  try {
+    const tournament = await Tournament.findById(tournamentId).populate('entries.user', 'username avatar');
+    if (!tournament) {
+      return;
+    }
+
+    const tables = await Game.find({ _id: { $in: tournament.tables } });
+    const payload = tournament.getUpdate(tables);
+
+    tournament.entries.forEach(entry => {
+      const socket = userSockets.get(entry.user._id.toString());
+      if (socket) {
+        socket.emit('tournament_update', payload);
+      }
+    });
+    tables.forEach(table => emitToSpectators(table, 'tournament_update', payload, false));
+  } catch (error) {
+    console.error('Tournament update error:', error);
+  }
+};
+
+// Deal the first hand at every table of a tournament and start its level clock.
+// Resolves to the tournament as started and its tables (none if it could not start).
+const startTournament = async (tournament) => {
+  const { current, started } = await Tournament.withLock(tournament._id, async (locked) => ({
+    current: locked,
+    started: await locked.start()
+  }));
+  for (const { game, events } of started) {
+    await announceHandStart(game, events);
+  }
+
+  scheduleTournamentTimer(current);
+  announceTournamentUpdate(current._id);
+  return { tournament: current, tables: started.map(({ game }) => game) };
+};
+
+// Arm the tournament clock: the scheduled start, then each level change
+const scheduleTournamentTimer = (tournament) => {
+  clearTournamentTimer(tournament.tournamentId);
+
+  const fireAt = tournament.getNextTimerAt();
+  if (!fireAt) {
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    handleTournamentTimer(tournament.tournamentId);
+  }, Math.max(0, fireAt.getTime() - Date.now()));
+
+  tournamentTimers.set(tournament.tournamentId, timer);
+};
+
+const clearTournamentTimer = (tournamentId) => {
+  const timer = tournamentTimers.get(tournamentId);
+  if (timer) {
+    clearTimeout(timer);
+    tournamentTimers.delete(tournamentId);
+  }
+};
+
+// The tournament clock fired: start a scheduled tournament that has reached its start time
+// (or cancel it if too few registered), or tell everyone the stakes have gone up. New
+// stakes apply from each table's next hand.
+const handleTournamentTimer = async (tournamentId) => {
+  tournamentTimers.delete(tournamentId);
+
+  try {
+    const tournament = await Tournament.findOne({ tournamentId });
+    if (!tournament) {
+      return;
+    }
+
+    const isDue = tournament.scheduledStart && tournament.scheduledStart.getTime() <= Date.now();
+    if (tournament.status === 'registering' && isDue) {
+      if (tournament.entries.length < tournament.minEntries) {
+        await tournament.cancel();
+        announceTournamentUpdate(tournament._id);
+        return;
+      }
+      await startTournament(tournament);
+      return;
+    }
+
+    if (tournament.status === 'running') {
+      announceTournamentUpdate(tournament._id);
+    }
+    scheduleTournamentTimer(tournament);
+  } catch (error) {
+    console.error('Tournament timer error:', error);
+  }
+};
+
+// Re-arm the clocks of tournaments waiting to start or running when the server starts
+const restoreTournamentTimers = async () => {
+  try {
+    const tournaments = await Tournament.find({ status: { $in: ['registering', 'running'] } });
+    tournaments.forEach(scheduleTournamentTimer);
+  } catch (error) {
+    console.error('Restore tournament timers error:', error);
+  }
+};
+
+// Re-arm turn and next-hand timers for every running table when the server starts
+const restoreGameTimers = async () => {
+  try {
+    const games = await Game.find({
+      $or: [
+        { status: 'active', autoFoldTimer: { $ne: null } },
+        { status: 'waiting', nextHandAt: { $ne: null } }
+      ]
+    });
+    games.forEach(ensureGameTimers);
+  } catch (error) {
+    console.error('Restore game timers error:', error);
+  }
+};
+
+// Keep every enabled table template at its minimum number of open tables
+const ensureTemplateTables = async () => {
+  try {
+    await TableTemplate.ensureOpenTables();
+  } catch (error) {
+    console.error('Template tables error:', error);
   }
 };
 
@@ -434,6 +1095,11 @@ module.exports = (io) => {
   // Authentication middleware
   io.use(authenticateSocket);
 
+  restoreGameTimers();
+  restoreTournamentTimers();
+  ensureTemplateTables();
+  setInterval(ensureTemplateTables, TEMPLATE_TABLE_CHECK_MS);
+
   io.on('connection', async (socket) => {
     console.log(`User ${socket.user.username} connected with socket ${socket.id}`);
 
@@ -452,9 +1118,10 @@ module.exports = (io) => {
     // If user was in a game, rejoin the game room
     if (socket.user.currentGameId) {
       const game = await Game.findById(socket.user.currentGameId);
-      if (game && game.status === 'active') {
+      if (game && (game.status === 'active' || (game.isPersistent && game.status === 'waiting'))) {
         socket.join(game.gameId);
         socket.currentGameId = game.gameId;
+        ensureGameTimers(game);
         socket.emit('game_rejoined', {
           game: formatGameForClient(game, socket.userId)
         });
@@ -466,11 +1133,20 @@ module.exports = (io) => {
       joinGameRoom(socket, data.gameId);
     });
 
+    // Handle watching a table without a seat
+    socket.on('spectate_game', (data) => {
+      spectateGameRoom(socket, data.gameId, { password: data.password, inviteCode: data.inviteCode });
+    });
+
+    socket.on('stop_spectating', () => {
+      leaveSpectating(socket);
+    });
+
     // Handle leaving a game room
     socket.on('leave_game', async () => {
       if (socket.currentGameId) {
         socket.leave(socket.currentGameId);
-        socket.to(socket.currentGameId).emit('player_left', {
+        socket.to(socket.currentGameId).to(spectatorRoom(socket.currentGameId)).emit('player_left', {
           playerId: socket.userId,
           username: socket.user.username
         });
@@ -488,10 +1164,10 @@ module.exports = (io) => {
       handleGameAction(socket, data);
     });
 
-    // Handle chat messages
+    // Handle chat messages; spectators can read the table chat but not write to it
     socket.on('chat_message', (data) => {
       if (socket.currentGameId) {
-        socket.to(socket.currentGameId).emit('chat_message', {
+        socket.to(socket.currentGameId).to(spectatorRoom(socket.currentGameId)).emit('chat_message', {
           playerId: socket.userId,
           username: socket.user.username,
           message: data.message,
@@ -500,6 +1176,18 @@ module.exports = (io) => {
       }
     });
 
+    // Spectators talk among themselves on their own channel
+    socket.on('spectator_chat', (data) => {
+      if (socket.spectatingGameId) {
+        socket.to(spectatorRoom(socket.spectatingGameId)).emit('spectator_chat', {
+          userId: socket.userId,
+          username: socket.user.username,
+          message: data.message,
+          timestamp: new Date()
+        });
+      }
+    });
+
     // Handle private messages
     socket.on('private_message', async (data) => {
       const { recipientId, message } = data;
@@ -561,6 +1249,7 @@ module.exports = (io) => {
 
       // Remove from active sockets
       userSockets.delete(socket.userId);
+      leaveSpectating(socket);
 
       // Notify game room if user was in a game
       if (socket.currentGameId) {
@@ -577,4 +1266,15 @@ module.exports = (io) => {
       user: socket.user.toJSON()
     });
   });
-};
\ No newline at end of file
+};
+
+// Routes and bots run actions through the same pipeline as sockets
+module.exports.dispatchAction = dispatchAction;
+module.exports.announceHandStart = announceHandStart;
+module.exports.ensureGameTimers = ensureGameTimers;
+module.exports.getSpectatorCount = getSpectatorCount;
+module.exports.formatGameForClient = formatGameForClient;
+module.exports.closeSpectating = closeSpectating;
+module.exports.startTournament = startTournament;
+module.exports.scheduleTournamentTimer = scheduleTournamentTimer;
+module.exports.announceTournamentUpdate = announceTournamentUpdate;
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Game = require('../models/Game');
+const { formatGameForClient } = require('./socketHandler');
+
+// A table mid-hand with every player's user populated in full, as the socket handlers load it
+const createGame = () => {
+  const users = ['alice', 'bob'].map(username => new User({
+    username,
+    email: `${username}@example.com`,
+    password: '$2a$12$hashedpasswordhashedpasswordhashedpasswordhashedpa',
+    passwordResetToken: 'reset-token',
+    verificationCode: '123456',
+    chips: 5000
+  }));
+
+  return new Game({
+    gameId: 'TP1',
+    status: 'active',
+    minBet: 10,
+    maxBet: 160,
+    isPersistent: true,
+    createdBy: users[0]._id,
+    players: users.map((user, seat) => ({
+      user,
+      position: seat,
+      stack: 1000,
+      isBlind: false,
+      cards: [{ suit: 'hearts', rank: 'A' }, { suit: 'spades', rank: 'A' }, { suit: 'clubs', rank: 'A' }],
+      handRank: 'trail',
+      usedWild: false
+    }))
+  });
+};
+
+describe('formatGameForClient', () => {
+  it('sends spectators nothing but each player\'s public profile', () => {
+    const game = createGame();
+    const view = formatGameForClient(game, null);
+
+    view.players.forEach((player, index) => {
+      assert.deepEqual(Object.keys(player.user).sort(), ['_id', 'avatar', 'username']);
+      assert.equal(player.user.username, game.players[index].user.username);
+    });
+    assert.doesNotMatch(JSON.stringify(view), /password|email|example\.com|reset-token|123456|5000/);
+  });
+
+  it('hides every hand from spectators and the other players\' hands from a player', () => {
+    const game = createGame();
+    const spectator = formatGameForClient(game, null);
+    const alice = formatGameForClient(game, game.players[0].user._id.toString());
+
+    assert.ok(spectator.players.every(p => p.cards.every(card => card.hidden) && p.handRank === undefined));
+    assert.equal(alice.players[0].cards[0].rank, 'A');
+    assert.equal(alice.players[1].cards[0].hidden, true);
+    assert.equal(alice.players[1].usedWild, undefined);
+  });
+});
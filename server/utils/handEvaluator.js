@@ -0,0 +1,98 @@
+// Standard Teen Patti hand evaluation and comparison.
+// Pure functions with no database or socket dependencies so they can be reused anywhere.
+
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+// Hand categories from weakest to strongest
+const HAND_RANKS = ['high-card', 'pair', 'color', 'sequence', 'pure-sequence', 'trail'];
+
+// Base used to pack tie-breakers into a single number (rank values stay below 15)
+const VALUE_BASE = 15;
+
+// Get numeric value for rank
+const getRankValue = (rank) => {
+  const index = RANKS.indexOf(rank);
+  return index === -1 ? 0 : index + 2;
+};
+
+// Sequence strength: A-K-Q is the top sequence, A-2-3 second, then K-Q-J down to 2-3-4
+const getSequenceValue = (values) => {
+  const [low, mid, high] = [...values].sort((a, b) => a - b);
+
+  if (low === 12 && mid === 13 && high === 14) return 15;
+  if (low === 2 && mid === 3 && high === 14) return 14;
+  if (mid === low + 1 && high === mid + 1) return high;
+
+  return 0;
+};
+
+// Classify three cards and return the category plus tie-breakers, most significant first
+const evaluateHand = (cards) => {
+  if (!cards || cards.length !== 3) {
+    return { handRank: 'high-card', tieBreakers: [0, 0, 0] };
+  }
+
+  const values = cards.map(c => getRankValue(c.rank)).sort((a, b) => b - a);
+  const isColor = cards.every(c => c.suit === cards[0].suit);
+  const sequenceValue = getSequenceValue(values);
+
+  if (values[0] === values[1] && values[1] === values[2]) {
+    return { handRank: 'trail', tieBreakers: [values[0]] };
+  }
+
+  if (sequenceValue && isColor) {
+    return { handRank: 'pure-sequence', tieBreakers: [sequenceValue] };
+  }
+
+  if (sequenceValue) {
+    return { handRank: 'sequence', tieBreakers: [sequenceValue] };
+  }
+
+  if (isColor) {
+    return { handRank: 'color', tieBreakers: values };
+  }
+
+  if (values[0] === values[1] || values[1] === values[2]) {
+    const pairValue = values[1];
+    const kicker = values[0] === pairValue ? values[2] : values[0];
+    return { handRank: 'pair', tieBreakers: [pairValue, kicker] };
+  }
+
+  return { handRank: 'high-card', tieBreakers: values };
+};
+
+// Pack an evaluated hand into a single number that orders the same way as compareHands
+const getHandValue = (cards) => {
+  const { handRank, tieBreakers } = evaluateHand(cards);
+  const padded = [...tieBreakers, 0, 0, 0].slice(0, 3);
+
+  return padded.reduce(
+    (value, tieBreaker) => value * VALUE_BASE + tieBreaker,
+    HAND_RANKS.indexOf(handRank)
+  );
+};
+
+// Compare two hands: positive when a beats b, negative when b beats a, 0 when they split
+const compareHands = (a, b) => {
+  const handA = evaluateHand(a);
+  const handB = evaluateHand(b);
+
+  const rankDiff = HAND_RANKS.indexOf(handA.handRank) - HAND_RANKS.indexOf(handB.handRank);
+  if (rankDiff !== 0) return rankDiff;
+
+  for (let i = 0; i < handA.tieBreakers.length; i++) {
+    const diff = handA.tieBreakers[i] - handB.tieBreakers[i];
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+};
+
+module.exports = {
+  RANKS,
+  HAND_RANKS,
+  getRankValue,
+  evaluateHand,
+  getHandValue,
+  compareHands
+};
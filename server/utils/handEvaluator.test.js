@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateHand, getHandValue, compareHands } = require('./handEvaluator');
+const { rules } = require('../engine');
+
+const SUITS = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+
+// 'Ah Kd 10c' -> three cards
+const hand = (text) => text.split(' ').map(card => ({
+  rank: card.slice(0, -1),
+  suit: SUITS[card.slice(-1)]
+}));
+
+// Each hand must beat every hand after it
+const assertDescending = (hands) => {
+  hands.slice(1).forEach((weaker, index) => {
+    const stronger = hands[index];
+    assert.ok(compareHands(hand(stronger), hand(weaker)) > 0, `${stronger} should beat ${weaker}`);
+    assert.ok(compareHands(hand(weaker), hand(stronger)) < 0, `${weaker} should lose to ${stronger}`);
+    assert.ok(getHandValue(hand(stronger)) > getHandValue(hand(weaker)), `${stronger} should be worth more than ${weaker}`);
+  });
+};
+
+describe('evaluateHand', () => {
+  it('classifies each category', () => {
+    assert.equal(evaluateHand(hand('7h 7d 7c')).handRank, 'trail');
+    assert.equal(evaluateHand(hand('4s 5s 6s')).handRank, 'pure-sequence');
+    assert.equal(evaluateHand(hand('4s 5h 6s')).handRank, 'sequence');
+    assert.equal(evaluateHand(hand('2d 9d Kd')).handRank, 'color');
+    assert.equal(evaluateHand(hand('9c 9h 2d')).handRank, 'pair');
+    assert.equal(evaluateHand(hand('2c 9h Kd')).handRank, 'high-card');
+  });
+
+  it('treats A-2-3 and A-K-Q as sequences but not K-A-2', () => {
+    assert.equal(evaluateHand(hand('Ah 2d 3c')).handRank, 'sequence');
+    assert.equal(evaluateHand(hand('Qh Kd Ac')).handRank, 'sequence');
+    assert.equal(evaluateHand(hand('Kh Ad 2c')).handRank, 'high-card');
+  });
+});
+
+describe('compareHands', () => {
+  it('orders the categories trail > pure sequence > sequence > color > pair > high card', () => {
+    assertDescending(['2h 2d 2c', 'As Ks Qs', '4s 5h 6s', '2d 9d Kd', 'Ac Ah Kd', 'Ah Kd Jc']);
+  });
+
+  it('orders sequences A-K-Q > A-2-3 > K-Q-J > ... > 2-3-4', () => {
+    assertDescending([
+      'Ah Kd Qc', 'Ah 2d 3c', 'Kh Qd Jc', 'Qh Jd 10c', 'Jh 10d 9c', '10h 9d 8c', '9h 8d 7c',
+      '8h 7d 6c', '7h 6d 5c', '6h 5d 4c', '5h 4d 3c', '4h 3d 2c'
+    ]);
+  });
+
+  it('orders pure sequences the same way as sequences', () => {
+    assertDescending(['Ah Kh Qh', 'As 2s 3s', 'Kd Qd Jd', '4c 3c 2c']);
+  });
+
+  it('orders trails by rank', () => {
+    assertDescending(['Ah Ad Ac', 'Kh Kd Kc', '3h 3d 3c', '2h 2d 2c']);
+  });
+
+  it('compares pairs by the pair, then the kicker', () => {
+    assertDescending(['Ah Ad 2c', 'Kh Kd Ac', 'Kh Kd Qc', 'Kh Kd 2c', '2h 2d Ac']);
+  });
+
+  it('breaks color and high card ties on the highest card, then the next', () => {
+    assertDescending(['Ah 5h 3h', 'Kd Qd 10d', 'Kc Qc 9c', 'Ks Js 10s']);
+    assertDescending(['Ah 5d 3c', 'Kh Qd 10c', 'Kh Qd 9c', 'Kh Jd 10c', '5h 3d 2c']);
+  });
+
+  it('returns 0 for hands that are exactly equal', () => {
+    assert.equal(compareHands(hand('Ah Kd 9c'), hand('As Kc 9d')), 0);
+    assert.equal(compareHands(hand('Ah Kh 9h'), hand('As Ks 9s')), 0);
+    assert.equal(compareHands(hand('5h 5d Kc'), hand('5s 5c Kd')), 0);
+    assert.equal(compareHands(hand('Ah 2d 3c'), hand('As 2c 3d')), 0);
+    assert.equal(getHandValue(hand('Ah Kd 9c')), getHandValue(hand('As Kc 9d')));
+  });
+});
+
+describe('table variants', () => {
+  it('reverses the order at muflis tables', () => {
+    const muflis = { gameType: 'muflis' };
+    const trail = getHandValue(hand('Ah Ad Ac'));
+    const highCard = getHandValue(hand('5h 3d 2c'));
+
+    assert.ok(rules.compareHandValues(muflis, highCard, trail) > 0);
+    assert.ok(rules.compareHandValues({ gameType: 'classic' }, highCard, trail) < 0);
+    assert.equal(rules.compareHandValues(muflis, highCard, highCard), 0);
+  });
+
+  it('picks the weakest hand as the muflis winner', () => {
+    const players = ['Ah Ad Ac', '5h 3d 2c', 'Kh Qd 9c'].map((cards, index) => ({
+      id: `p${index}`,
+      handValue: getHandValue(hand(cards))
+    }));
+
+    const winners = rules.determineWinners({ gameType: 'muflis' }, players);
+    assert.deepEqual(winners.map(p => p.id), ['p1']);
+  });
+
+  it('substitutes a single AK47 wild card for the best card', () => {
+    const best = rules.getBestHand({ gameType: 'ak47' }, hand('As 9h 9d'));
+    assert.equal(best.handRank, 'trail');
+    assert.equal(best.usedWild, true);
+
+    const pair = rules.getBestHand({ gameType: 'ak47' }, hand('Ks 5h 9d'));
+    assert.equal(pair.handRank, 'pair');
+    assert.equal(pair.usedWild, true);
+  });
+
+  it('makes a trail of the natural card from two wild cards', () => {
+    const best = rules.getBestHand({ gameType: 'ak47' }, hand('Ks 7h 3d'));
+    assert.equal(best.handRank, 'trail');
+    assert.equal(best.handValue, getHandValue(hand('3h 3d 3c')));
+  });
+
+  it('uses the joker rank as wild only at joker tables', () => {
+    const cards = hand('5s Jh Jd');
+    const joker = rules.getBestHand({ gameType: 'joker', jokerCard: { rank: '5', suit: 'clubs' } }, cards);
+    const classic = rules.getBestHand({ gameType: 'classic' }, cards);
+
+    assert.equal(joker.handRank, 'trail');
+    assert.equal(joker.usedWild, true);
+    assert.equal(classic.handRank, 'pair');
+    assert.equal(classic.usedWild, false);
+  });
+
+  it('leaves a hand alone when the wild card cannot improve it', () => {
+    const best = rules.getBestHand({ gameType: 'joker', jokerCard: { rank: 'A', suit: 'spades' } }, hand('Ah Kh Qh'));
+    assert.equal(best.handRank, 'pure-sequence');
+    assert.equal(best.usedWild, false);
+  });
+});
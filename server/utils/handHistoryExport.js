@@ -0,0 +1,165 @@
+// Plain-text hand histories in the style of poker site exports, one block per hand.
+// Built from Hand.toReplay so a viewer only ever sees the cards they saw at the table.
+
+const VARIANT_NAMES = {
+  classic: 'Classic',
+  joker: 'Joker',
+  muflis: 'Muflis',
+  ak47: 'AK47'
+};
+
+const SUIT_LETTERS = {
+  hearts: 'h',
+  diamonds: 'd',
+  clubs: 'c',
+  spades: 's'
+};
+
+// Ah, Td, 7c ... and ?? for a card the viewer did not see
+const formatCard = (card) => {
+  if (!card || card.hidden) {
+    return '??';
+  }
+  return `${card.rank === '10' ? 'T' : card.rank}${SUIT_LETTERS[card.suit]}`;
+};
+
+const formatCards = (cards) => `[${cards.map(formatCard).join(' ')}]`;
+
+const formatDate = (date) => `${new Date(date).toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+
+// "12 (3%, cap 50)", or "0 (waived: no_bet)" when an exemption applied. Hands recorded
+// before commission settings were kept show the amount alone.
+const formatCommission = (amount, settings) => {
+  if (settings.rate === null && !settings.exemption) {
+    return `${amount}`;
+  }
+  if (settings.exemption) {
+    return `${amount} (waived: ${settings.exemption})`;
+  }
+  const rate = `${parseFloat((settings.rate * 100).toFixed(2))}%`;
+  return `${amount} (${settings.cap ? `${rate}, cap ${settings.cap}` : rate})`;
+};
+
+// One line for a step of the hand, or null for steps with no line of their own
+const formatStep = (step, nameOf) => {
+  const name = nameOf(step.playerId);
+  const target = nameOf(step.targetId);
+
+  switch (step.action) {
+    case 'boot':
+      return `${name}: posts boot ${step.amount}`;
+    case 'joker':
+      return `*** JOKER *** ${step.details.replace('Joker drawn: ', '')}`;
+    case 'blind':
+      return `${name}: plays blind ${step.amount}`;
+    case 'call':
+      return `${name}: calls ${step.amount}`;
+    case 'raise':
+      return `${name}: raises ${step.amount} to a stake of ${step.currentBet}`;
+    case 'all-in':
+      return `${name}: bets ${step.amount} and is all-in`;
+    case 'check':
+      return `${name}: checks`;
+    case 'see':
+      return `${name}: sees cards`;
+    case 'fold':
+      return `${name}: folds`;
+    case 'show':
+      return `${name}: pays ${step.amount} for a show`;
+    case 'side_show_request':
+      return `${name}: pays ${step.amount} and asks ${target} for a side show`;
+    case 'side_show_declined':
+      return `${name}: declines the side show`;
+    case 'side_show':
+      return `${name}: side show with ${target} (${step.details.split(': ').pop()})`;
+    case 'showdown':
+      return `*** SHOWDOWN *** (${step.details.replace(' - showdown', '')})`;
+    case 'refund':
+      return `Uncalled bet (${step.amount}) returned to ${name}`;
+    case 'win':
+      return null;
+    default:
+      return step.details || `${name}: ${step.action}`;
+  }
+};
+
+// Text block for one hand. hand must have its game and players' users populated.
+const formatHand = (hand, viewerId, options = {}) => {
+  const replay = hand.toReplay(viewerId, options);
+  const game = hand.game;
+  const nameOf = (userId) => {
+    const player = replay.players.find(p => p.userId === userId);
+    return player ? player.username : 'unknown';
+  };
+
+  const bootAmount = game.bootAmount || game.minBet;
+  const lines = [
+    `Teen Patti Hand #${hand.gameId}-${hand.handNumber}: ${VARIANT_NAMES[hand.gameType]} ` +
+      `(Boot ${bootAmount}, Stakes ${game.minBet}/${game.maxBet}` +
+      `${game.potLimit ? `, Pot limit ${game.potLimit}` : ''}) - ${formatDate(hand.startedAt || hand.createdAt)}`,
+    `Table '${hand.gameId}' ${game.maxPlayers}-max`
+  ];
+
+  replay.players.forEach(player => {
+    lines.push(`Seat ${player.seat + 1}: ${player.username} (${player.stackBefore} in chips)`);
+  });
+
+  // Boots come before the deal, everything else after it
+  const steps = replay.steps;
+  const firstAction = steps.findIndex(step => step.action !== 'boot');
+  steps.slice(0, firstAction === -1 ? steps.length : firstAction).forEach(step => {
+    lines.push(formatStep(step, nameOf));
+  });
+
+  lines.push('*** DEALT ***');
+  replay.players
+    .filter(player => !player.cards.every(card => card.hidden))
+    .forEach(player => {
+      lines.push(`Dealt to ${player.username} ${formatCards(player.cards)}`);
+    });
+
+  steps.slice(firstAction === -1 ? steps.length : firstAction).forEach(step => {
+    const line = formatStep(step, nameOf);
+    if (line) {
+      lines.push(line);
+    }
+  });
+
+  const shown = replay.players.filter(p => !p.isFolded && p.handRank);
+  if (shown.length > 1 && !steps.some(step => step.action === 'showdown')) {
+    lines.push('*** SHOWDOWN ***');
+  }
+  shown.forEach(player => {
+    lines.push(`${player.username}: shows ${formatCards(player.cards)} (${player.handRank})`);
+  });
+
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot ${replay.pots.reduce((sum, pot) => sum + pot.amount, 0)} | Commission ${formatCommission(replay.commission, replay.commissionSettings)}`);
+  replay.pots.forEach(pot => {
+    const winners = pot.winners.filter(w => w.amount > 0)
+      .map(w => `${nameOf(w.playerId)} collected ${w.amount}`)
+      .join(', ');
+    lines.push(`${pot.name === 'main' ? 'Main pot' : `Side pot ${pot.name.replace('side ', '')}`} ${pot.amount}: ${winners}`);
+  });
+  replay.players.forEach(player => {
+    let result = `${player.isFolded ? 'folded' : 'lost'}, bet ${player.totalBet}`;
+    if (replay.winners.includes(player.userId)) {
+      result = `won ${player.winnings}`;
+    } else if (player.winnings > 0) {
+      result += `, ${player.winnings} returned`;
+    }
+    lines.push(`Seat ${player.seat + 1}: ${player.username} ${result} (${player.stackAfter} in chips)`);
+  });
+
+  return lines.join('\n');
+};
+
+// Several hands, separated by blank lines as hand history files usually are
+const formatHands = (hands, viewerId, options = {}) =>
+  hands.map(hand => formatHand(hand, viewerId, options)).join('\n\n\n') + '\n';
+
+module.exports = {
+  formatCard,
+  formatHand,
+  formatHands
+};
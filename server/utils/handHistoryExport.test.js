@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Game = require('../models/Game');
+const Hand = require('../models/Hand');
+const { formatCard, formatHand, formatHands } = require('./handHistoryExport');
+
+const users = ['ann', 'ben', 'cat'].map(username => new User({
+  username,
+  email: `${username}@example.com`,
+  password: 'secret123'
+}));
+const [ann, ben, cat] = users;
+
+const cards = (text) => text.split(' ').map(card => ({
+  rank: card.slice(0, -1),
+  suit: { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' }[card.slice(-1)]
+}));
+
+// ben went all-in for 20 and won the main pot with a trail; cat beat ann to the side pot
+const createHand = (settings = {}) => new Hand({
+  game: new Game({ gameId: 'TP1', maxPlayers: 6, minBet: 10, maxBet: 160, bootAmount: 10, createdBy: ann._id }),
+  gameId: 'TP1',
+  handNumber: 12,
+  gameType: 'classic',
+  startedAt: new Date('2026-03-01T18:30:05Z'),
+  players: [
+    { user: ann, position: 0, cards: cards('2h 5d 9c'), handRank: 'high-card', shown: true, stackBefore: 1000, stackAfter: 960, totalBet: 40 },
+    { user: ben, position: 2, cards: cards('Ah Ad Ac'), handRank: 'trail', shown: true, stackBefore: 20, stackAfter: 58, totalBet: 20, winnings: 58 },
+    { user: cat, position: 3, cards: cards('Kh Kd 3c'), handRank: 'pair', shown: true, stackBefore: 500, stackAfter: 500, totalBet: 40, winnings: 40 }
+  ],
+  history: [
+    { action: 'boot', player: ann._id, amount: 10 },
+    { action: 'boot', player: ben._id, amount: 10 },
+    { action: 'boot', player: cat._id, amount: 10 },
+    { action: 'all-in', player: ben._id, amount: 10 },
+    { action: 'call', player: cat._id, amount: 30 },
+    { action: 'call', player: ann._id, amount: 30 },
+    { action: 'showdown', details: 'No players left to bet - showdown' },
+    { action: 'win', player: ben._id, amount: 58 }
+  ],
+  commission: 2,
+  commissionSettings: { rate: 0.03, cap: 50, exemptions: [], exemption: null, version: 1 },
+  pots: [
+    { name: 'main', amount: 60, commission: 2, winners: [{ user: ben._id, amount: 58 }] },
+    { name: 'side 1', amount: 40, commission: 0, winners: [{ user: cat._id, amount: 40 }] }
+  ],
+  winners: [ben._id, cat._id],
+  ...settings
+});
+
+describe('formatHand', () => {
+  it('writes a hand with its side pot, commission and showdown', () => {
+    assert.equal(formatHand(createHand(), ann._id), [
+      'Teen Patti Hand #TP1-12: Classic (Boot 10, Stakes 10/160) - 2026-03-01 18:30:05 UTC',
+      'Table \'TP1\' 6-max',
+      'Seat 1: ann (1000 in chips)',
+      'Seat 3: ben (20 in chips)',
+      'Seat 4: cat (500 in chips)',
+      'ann: posts boot 10',
+      'ben: posts boot 10',
+      'cat: posts boot 10',
+      '*** DEALT ***',
+      'Dealt to ann [2h 5d 9c]',
+      'Dealt to ben [Ah Ad Ac]',
+      'Dealt to cat [Kh Kd 3c]',
+      'ben: bets 10 and is all-in',
+      'cat: calls 30',
+      'ann: calls 30',
+      '*** SHOWDOWN *** (No players left to bet)',
+      'ann: shows [2h 5d 9c] (high-card)',
+      'ben: shows [Ah Ad Ac] (trail)',
+      'cat: shows [Kh Kd 3c] (pair)',
+      '*** SUMMARY ***',
+      'Total pot 100 | Commission 2 (3%, cap 50)',
+      'Main pot 60: ben collected 58',
+      'Side pot 1 40: cat collected 40',
+      'Seat 1: ann lost, bet 40 (960 in chips)',
+      'Seat 3: ben won 58 (58 in chips)',
+      'Seat 4: cat won 40 (500 in chips)'
+    ].join('\n'));
+  });
+
+  it('hides the cards the viewer did not see as ??', () => {
+    const hand = createHand();
+    hand.players[0].isFolded = true;
+    hand.players[0].shown = false;
+    hand.history.splice(5, 1, { action: 'fold', player: ann._id, details: 'ann folded' });
+
+    const lines = formatHand(hand, cat._id).split('\n');
+
+    assert.ok(!lines.some(line => line.startsWith('Dealt to ann')));
+    assert.ok(lines.includes('ann: folds'));
+    assert.ok(!lines.some(line => line.includes('2h 5d 9c')));
+    assert.ok(lines.includes('Seat 1: ann folded, bet 40 (960 in chips)'));
+    assert.equal(formatCard({ hidden: true }), '??');
+  });
+
+  it('says why the commission was waived', () => {
+    const hand = createHand({
+      commission: 0,
+      commissionSettings: { rate: 0.03, cap: null, exemptions: ['no_bet'], exemption: 'no_bet', version: 1 }
+    });
+    hand.pots[0].winners[0].amount = 60;
+
+    assert.ok(formatHand(hand, ann._id).split('\n').includes('Total pot 100 | Commission 0 (waived: no_bet)'));
+  });
+
+  it('shows the commission alone for hands recorded before its settings were kept', () => {
+    const hand = createHand({ commissionSettings: { rate: null, cap: null, exemption: null } });
+
+    assert.ok(formatHand(hand, ann._id).split('\n').includes('Total pot 100 | Commission 2'));
+  });
+});
+
+describe('formatHands', () => {
+  it('separates hands with blank lines and ends with a newline', () => {
+    const text = formatHands([createHand(), createHand({ handNumber: 13 })], ann._id);
+
+    assert.equal(text.split('\n\n\n').length, 2);
+    assert.ok(text.endsWith('(500 in chips)\n'));
+  });
+});
@@ -0,0 +1,54 @@
+// Provably fair shuffling with commit-reveal seeds.
+// The server publishes sha256(serverSeed) before the deal, players may add client seeds,
+// and once the hand is over the server seed is revealed so anyone can replay the shuffle.
+
+const crypto = require('crypto');
+
+const generateServerSeed = () => crypto.randomBytes(32).toString('hex');
+
+const hashSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+// Client seeds are combined in the order they were submitted
+const combineClientSeeds = (clientSeeds = []) => clientSeeds.map(c => c.seed).join(':');
+
+// Deterministic stream of 32-bit integers: HMAC-SHA256(serverSeed, clientSeed:nonce:block)
+const createRandomStream = (serverSeed, clientSeed, nonce) => {
+  let block = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+
+  return () => {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto.createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${block}`)
+        .digest();
+      block += 1;
+      offset = 0;
+    }
+
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+};
+
+// Seeded random source for the engine's shuffle: uniform integers in [0, max) without modulo bias
+const createRng = (serverSeed, clientSeed, nonce) => {
+  const next = createRandomStream(serverSeed, clientSeed, nonce);
+
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value = next();
+    while (value >= limit) {
+      value = next();
+    }
+    return value % max;
+  };
+};
+
+module.exports = {
+  generateServerSeed,
+  hashSeed,
+  combineClientSeeds,
+  createRng
+};
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const provablyFair = require('./provablyFair');
+
+describe('provablyFair', () => {
+  it('commits to the server seed with its sha256 hash', () => {
+    assert.equal(provablyFair.hashSeed('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.match(provablyFair.generateServerSeed(), /^[0-9a-f]{64}$/);
+    assert.notEqual(provablyFair.generateServerSeed(), provablyFair.generateServerSeed());
+  });
+
+  it('joins client seeds in the order they were submitted', () => {
+    assert.equal(provablyFair.combineClientSeeds([{ seed: 'b' }, { seed: 'a' }]), 'b:a');
+    assert.equal(provablyFair.combineClientSeeds(), '');
+  });
+
+  it('draws the same numbers from the same seeds and nonce, and different ones otherwise', () => {
+    const draw = (clientSeed, nonce) => {
+      const rng = provablyFair.createRng('server', clientSeed, nonce);
+      return Array.from({ length: 20 }, () => rng(52));
+    };
+
+    assert.deepEqual(draw('client', 1), draw('client', 1));
+    assert.notDeepEqual(draw('client', 1), draw('client', 2));
+    assert.notDeepEqual(draw('client', 1), draw('other', 1));
+  });
+
+  it('keeps every draw within [0, max), across many blocks of the stream', () => {
+    const rng = provablyFair.createRng('server', '', 1);
+    const seen = new Set();
+
+    for (let i = 0; i < 1000; i++) {
+      const value = rng(7);
+      assert.ok(Number.isInteger(value) && value >= 0 && value < 7);
+      seen.add(value);
+    }
+    assert.equal(seen.size, 7);
+  });
+});